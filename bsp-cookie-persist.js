@@ -0,0 +1,411 @@
+/**
+ * jQuery plugin that remembers the state of form fields and data attributes in a json cookie,
+ * such as filter selections, collapsed panels and "don't show again" checkboxes.
+ *
+ * <p>The plugin needs jQuery and bsp-cookie.js. It can be loaded with an AMD loader, with require(),
+ * or with a script tag after jQuery and bsp-cookie.js.</p>
+ */
+(function (root, factory) {
+
+    "use strict";
+
+    if (typeof define === 'function' && define.amd) {
+        define(['jquery', 'bsp-cookie'], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('jquery'), require('./bsp-cookie.js'));
+    } else {
+        factory(root.jQuery, root.bspCookie);
+    }
+
+}(typeof self !== 'undefined' ? self : this, function ($, bspCookie) {
+
+    "use strict";
+
+    /**
+     * Name of the plugin, used for the jQuery data and the event namespace.
+     *
+     * @private
+     */
+    var pluginName = 'bspCookiePersist';
+
+
+    /**
+     * Determine if a field is a data attribute of the elements rather than the name of a form field.
+     *
+     * @private
+     * @param {String} field
+     * @returns {Boolean}
+     */
+    function isDataField(field) {
+        return field.indexOf('data-') === 0;
+    }
+
+
+    /**
+     * Get the form fields inside the elements, and the elements themselves if they are form fields.
+     *
+     * @private
+     * @param {Object} state The state of the plugin.
+     * @param {String} [name] Only get the fields with this name.
+     * @returns {jQuery}
+     */
+    function formFields(state, name) {
+        return state.$elements.find(':input').add(state.$elements.filter(':input')).filter(function () {
+            return this.name &&
+                (name ? this.name === name : !state.fields || $.inArray(this.name, state.fields) !== -1);
+        });
+    }
+
+
+    /**
+     * Get the names of the fields to remember.
+     *
+     * @private
+     * @param {Object} state The state of the plugin.
+     * @returns {String[]} The fields option, or the names of all form fields if it was not specified.
+     */
+    function fieldNames(state) {
+
+        var names = [];
+
+        if (state.fields) {
+            return state.fields;
+        }
+
+        formFields(state).each(function () {
+            if ($.inArray(this.name, names) === -1) {
+                names.push(this.name);
+            }
+        });
+
+        return names;
+    }
+
+
+    /**
+     * Read the value of a form field.
+     *
+     * @private
+     * @param {jQuery} $fields The form fields with the same name.
+     * @returns {Boolean|String|String[]|null} True or false for a single checkbox, an array of the checked values
+     * for several checkboxes with the same name, the checked value (or null) for radio buttons,
+     * otherwise the value of the field (an array for a select that allows multiple values).
+     */
+    function readField($fields) {
+
+        if ($fields.is(':checkbox')) {
+
+            if ($fields.length === 1) {
+                return $fields.prop('checked');
+            }
+
+            return $fields.filter(':checked').map(function () {
+                return this.value;
+            }).get();
+        }
+
+        if ($fields.is(':radio')) {
+            return $fields.filter(':checked').val() || null;
+        }
+
+        return $fields.val();
+    }
+
+
+    /**
+     * Change the value of a form field, refer to readField() for the values.
+     *
+     * @private
+     * @param {jQuery} $fields The form fields with the same name.
+     * @param {Boolean|String|String[]|null} value
+     */
+    function writeField($fields, value) {
+
+        if ($fields.is(':checkbox')) {
+
+            $fields.each(function () {
+                $(this).prop('checked', $fields.length === 1 ? !!value : $.inArray(this.value, value || []) !== -1);
+            });
+
+        } else if ($fields.is(':radio')) {
+
+            $fields.each(function () {
+                $(this).prop('checked', this.value === value);
+            });
+
+        } else {
+            $fields.val(value);
+        }
+    }
+
+
+    /**
+     * Read the fields and write them to the cookie.
+     *
+     * <p>Data attributes are stored as a single value if the plugin was called on one element,
+     * otherwise as an array with the value of each element.</p>
+     *
+     * @private
+     * @param {Object} state The state of the plugin.
+     */
+    function save(state) {
+
+        var data = {}, field, i, names = fieldNames(state), values;
+
+        if (state.restoring) {
+            return;
+        }
+
+        for (i = 0; i < names.length; i++) {
+
+            field = names[i];
+
+            if (isDataField(field)) {
+
+                // jQuery map() drops null, but flattens arrays, so a missing attribute is returned as [null]
+                values = state.$elements.map(function () {
+                    var value = this.getAttribute(field);
+                    return value === null ? [null] : value;
+                }).get();
+
+                data[field] = state.$elements.length === 1 ? values[0] : values;
+
+            } else if (formFields(state, field).length) {
+                data[field] = readField(formFields(state, field));
+            }
+        }
+
+        state.cookie.setJson(state.name, data, state.options);
+    }
+
+
+    /**
+     * Read the cookie and change the fields to the values it contains.
+     *
+     * <p>A change event is triggered on each form field that is restored, so the page can update itself
+     * the same way as when the user changes the field. The fields are not saved again while they are restored.</p>
+     *
+     * @private
+     * @param {Object} state The state of the plugin.
+     */
+    function restore(state) {
+
+        var data = state.cookie.getJson(state.name, state.options), field, i, names = fieldNames(state), $fields;
+
+        // The cookie is missing, or was changed to something other than an object
+        if (!$.isPlainObject(data)) {
+            return;
+        }
+
+        state.restoring = true;
+
+        try {
+
+            for (i = 0; i < names.length; i++) {
+
+                field = names[i];
+
+                if (!data.hasOwnProperty(field)) {
+                    continue;
+                }
+
+                if (isDataField(field)) {
+
+                    state.$elements.each(function (index) {
+
+                        var value = state.$elements.length === 1 ? data[field] : (data[field] || [])[index];
+
+                        if (value === null || value === undefined) {
+                            this.removeAttribute(field);
+                        } else {
+                            this.setAttribute(field, value);
+                        }
+                    });
+
+                } else {
+
+                    $fields = formFields(state, field);
+
+                    if ($fields.length) {
+                        writeField($fields, data[field]);
+                        $fields.trigger('change');
+                    }
+                }
+            }
+
+        } finally {
+            state.restoring = false;
+        }
+    }
+
+
+    /**
+     * Put the form fields back to the values they had when the page was loaded.
+     *
+     * @private
+     * @param {Object} state The state of the plugin.
+     */
+    function resetFields(state) {
+
+        state.restoring = true;
+
+        try {
+
+            formFields(state).each(function () {
+
+                if (this.type === 'checkbox' || this.type === 'radio') {
+                    this.checked = this.defaultChecked;
+                } else if (this.options) {
+                    $.each(this.options, function () {
+                        this.selected = this.defaultSelected;
+                    });
+                } else {
+                    this.value = this.defaultValue;
+                }
+
+                $(this).trigger('change');
+            });
+
+        } finally {
+            state.restoring = false;
+        }
+    }
+
+
+    /**
+     * Start remembering the fields of the elements.
+     *
+     * @private
+     * @param {jQuery} $elements
+     * @param {Object} settings Refer to $.fn.bspCookiePersist.
+     * @returns {Object} The state of the plugin.
+     */
+    function init($elements, settings) {
+
+        var state;
+
+        if (!settings || !settings.name) {
+            throw 'bspCookiePersist requires a cookie name';
+        }
+
+        state = {
+            $elements: $elements,
+            name: settings.name,
+            fields: settings.fields || null,
+            options: $.extend({}, settings.options),
+            cookie: settings.cookie || bspCookie,
+            restoring: false
+        };
+
+        restore(state);
+
+        $elements.on('change.' + pluginName, function () {
+            save(state);
+        });
+
+        // Data attributes do not have change events, so watch them if the browser can
+        if (typeof MutationObserver !== 'undefined' && state.fields) {
+
+            state.observer = new MutationObserver(function () {
+                save(state);
+            });
+
+            $elements.each(function () {
+                state.observer.observe(this, {attributes: true, attributeFilter: $.grep(state.fields, isDataField)});
+            });
+        }
+
+        $elements.data(pluginName, state);
+
+        return state;
+    }
+
+
+    /**
+     * Remember the state of form fields and data attributes in a json cookie.
+     *
+     * <p>When the plugin is called, the fields are restored from the cookie with {@link cookie.getJson}.
+     * After that the fields are saved with {@link cookie.setJson} each time one of them changes.
+     * Data attributes are saved when they change in browsers that support MutationObserver,
+     * otherwise call the "save" method after changing them.</p>
+     *
+     * <p>Call the plugin with the name of a method to control it afterwards:</p>
+     *
+     * <ul>
+     * <li>"save" - save the fields now</li>
+     * <li>"clear" - delete the cookie, the fields keep their values</li>
+     * <li>"reset" - delete the cookie, and put the form fields back to the values they had when the page
+     * was loaded</li>
+     * <li>"destroy" - stop saving the fields, the cookie is kept</li>
+     * </ul>
+     *
+     * @returns {jQuery} The elements, for chaining.
+     *
+     * @param {Object|String} settings Settings, or the name of a method.
+     * @param {String} settings.name Name of the cookie.
+     * @param {String[]} [settings.fields] Names of the form fields inside the elements, and names of
+     * data attributes of the elements (starting with "data-"), to remember. By default all form fields
+     * that have a name are remembered.
+     * @param {Object} [settings.options] Options for the cookie, such as expires and scramble,
+     * refer to {@link cookie()}.
+     * @param {Function} [settings.cookie] Cookie function to use, such as an instance created with
+     * {@link cookie.create}. By default this is bsp-cookie.
+     *
+     * @example
+     * $('#filters').bspCookiePersist({name: 'filters', fields: ['category', 'sort'], options: {expires: 30}});
+     *
+     * @example
+     * $('.panel').bspCookiePersist({name: 'panels', fields: ['data-collapsed'], options: {expires: '90d'}});
+     *
+     * @example
+     * $('#filters').bspCookiePersist('reset');
+     */
+    $.fn[pluginName] = function (settings) {
+
+        var state = this.data(pluginName);
+
+        if (typeof settings !== 'string') {
+
+            if (state) {
+                this[pluginName]('destroy');
+            }
+
+            init(this, settings);
+            return this;
+        }
+
+        if (!state) {
+            throw 'bspCookiePersist has not been initialized on these elements';
+        }
+
+        switch (settings) {
+
+        case 'save':
+            save(state);
+            break;
+
+        case 'clear':
+            state.cookie.deleteCookie(state.name, state.options);
+            break;
+
+        case 'reset':
+            resetFields(state);
+            state.cookie.deleteCookie(state.name, state.options);
+            break;
+
+        case 'destroy':
+            state.$elements.off('.' + pluginName).removeData(pluginName);
+            if (state.observer) {
+                state.observer.disconnect();
+            }
+            break;
+
+        default:
+            throw 'Unknown bspCookiePersist method ' + settings;
+        }
+
+        return this;
+    };
+
+    return $.fn[pluginName];
+}));
@@ -0,0 +1,497 @@
+/**
+ * In-memory cookie jar for unit tests, that follows the rules browsers use for document.cookie.
+ *
+ * <p>The file needs bsp-cookie.js and adds {@link cookie.testJar} to it. It can be loaded with an AMD loader,
+ * with require(), or with a script tag after bsp-cookie.js. It is only needed by tests, so pages do not
+ * have to load it.</p>
+ */
+(function (root, factory) {
+
+    "use strict";
+
+    if (typeof define === 'function' && define.amd) {
+        define(['bsp-cookie'], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bsp-cookie.js'));
+    } else {
+        factory(root.bspCookie);
+    }
+
+}(typeof self !== 'undefined' ? self : this, function (bspCookie) {
+
+    "use strict";
+
+    /**
+     * Parse a cookie string in the format of a document.cookie assignment, the same way bsp-cookie.js does.
+     *
+     * @private
+     * @param {String} s Cookie string such as "a=1; path=/; secure".
+     * @returns {Object} Object with the name, the raw value, and the attributes keyed by lowercase name.
+     * Attributes without a value (such as secure) are set to true.
+     */
+    function parseSetCookie(s) {
+
+        var attributes = {}, i, index, part, parts, first;
+
+        parts = s.split(';');
+        first = parts[0].replace(/^\s+|\s+$/g, '');
+
+        for (i = 1; i < parts.length; i++) {
+
+            part = parts[i].replace(/^\s+|\s+$/g, '');
+            index = part.indexOf('=');
+
+            if (index === -1) {
+                attributes[part.toLowerCase()] = true;
+            } else if (index > 0) {
+                attributes[part.substring(0, index).toLowerCase()] = part.substring(index + 1);
+            }
+        }
+
+        index = first.indexOf('=');
+
+        return {
+            name: index === -1 ? '' : first.substring(0, index),
+            value: index === -1 ? first : first.substring(index + 1),
+            attributes: attributes
+        };
+    }
+
+
+    /**
+     * Split a URL into the parts that matter for cookies.
+     *
+     * @private
+     * @param {String} url Absolute URL such as "https://www.example.com/shop/cart".
+     * @returns {Object} Object with secure, hostname and path properties.
+     * @throws {String} If the URL is not an absolute http or https URL.
+     */
+    function parseUrl(url) {
+
+        var match = /^(https?):\/\/(\[[^\]]+\]|[^\/:?#]+)(?::\d+)?([^?#]*)/i.exec(url);
+
+        if (!match) {
+            throw 'Invalid test jar URL ' + url;
+        }
+
+        return {
+            secure: match[1].toLowerCase() === 'https',
+            hostname: match[2].toLowerCase(),
+            path: match[3] || '/'
+        };
+    }
+
+    /**
+     * Check if a cookie path applies to a request path, as defined by RFC 6265 section 5.1.4.
+     *
+     * @private
+     * @param {String} cookiePath
+     * @param {String} requestPath
+     * @returns {Boolean}
+     */
+    function pathMatches(cookiePath, requestPath) {
+        return requestPath === cookiePath ||
+            (requestPath.indexOf(cookiePath) === 0 &&
+                (cookiePath.charAt(cookiePath.length - 1) === '/' || requestPath.charAt(cookiePath.length) === '/'));
+    }
+
+
+    /**
+     * Check if a cookie domain applies to a host name, as defined by RFC 6265 section 5.1.3.
+     * IP addresses, localhost and other names without a dot only match themselves.
+     *
+     * @private
+     * @param {String} hostname
+     * @param {String} domain Cookie domain without a leading dot.
+     * @returns {Boolean}
+     */
+    function domainMatches(hostname, domain) {
+        return hostname === domain ||
+            (hostname.indexOf('.') !== -1 && hostname.indexOf(':') === -1 && !/^[\d.]+$/.test(hostname) &&
+                hostname.substring(hostname.length - domain.length - 1) === '.' + domain);
+    }
+
+
+    /**
+     * Create an in-memory cookie jar that follows the rules browsers use for document.cookie,
+     * for unit tests.
+     *
+     * <p>The jar rejects cookies the way browsers do: domains the page cannot set cookies for, public suffixes,
+     * secure cookies on http pages, __Secure- and __Host- names without the required attributes, SameSite=None
+     * without Secure, and HttpOnly cookies, which cannot be set from script. Cookies are only returned
+     * by read() if their domain, path and secure attributes match the current URL and they have not expired
+     * at the time of the clock. Cookies are listed with the longest path first, then in order of creation.</p>
+     *
+     * @private
+     * @param {Object} [config]
+     * @param {String} [config.url='https://www.example.com/'] The current URL.
+     * @param {Number|Date} [config.now=the real time] The time of the clock.
+     * @returns {Object} Backing store with additional functions to control and inspect the jar.
+     */
+    function createTestJar(config) {
+
+        var cookies = [], clock, counter = 0, jar, log = [], page;
+
+        config = config || {};
+        page = parseUrl(config.url || 'https://www.example.com/');
+        clock = config.hasOwnProperty('now') ? new Date(config.now).getTime() : null;
+
+        function now() {
+            return clock === null ? new Date().getTime() : clock;
+        }
+
+        function removeExpired() {
+
+            var i, time = now();
+
+            for (i = cookies.length - 1; i >= 0; i--) {
+                if (cookies[i].expires !== null && cookies[i].expires <= time) {
+                    cookies.splice(i, 1);
+                }
+            }
+        }
+
+        function visible() {
+
+            var i, c, result = [];
+
+            removeExpired();
+
+            for (i = 0; i < cookies.length; i++) {
+
+                c = cookies[i];
+
+                if ((c.hostOnly ? page.hostname === c.domain : domainMatches(page.hostname, c.domain)) &&
+                        pathMatches(c.path, page.path) &&
+                        (!c.secure || page.secure || page.hostname === 'localhost') &&
+                        !c.httpOnly) {
+                    result.push(c);
+                }
+            }
+
+            result.sort(function (a, b) {
+                return (b.path.length - a.path.length) || (a.order - b.order);
+            });
+
+            return result;
+        }
+
+        function copy(c) {
+
+            var key, result = {};
+
+            for (key in c) {
+                if (c.hasOwnProperty(key)) {
+                    result[key] = c[key];
+                }
+            }
+
+            result.attributes = {};
+
+            for (key in c.attributes) {
+                if (c.attributes.hasOwnProperty(key)) {
+                    result.attributes[key] = c.attributes[key];
+                }
+            }
+
+            return result;
+        }
+
+        // Decide what happens to a cookie string, returns the cookie to store,
+        // or the cause and the reason why it is rejected
+        function accept(parsed) {
+
+            var a = parsed.attributes, domain, expires = null, path, secure, time = now();
+
+            secure = a.hasOwnProperty('secure');
+
+            if (!parsed.name && !parsed.value) {
+                return {cause: 'empty', reason: 'empty cookie'};
+            }
+
+            if (a.hasOwnProperty('httponly')) {
+                return {cause: 'httpOnly', reason: 'HttpOnly cookies cannot be set from script'};
+            }
+
+            if (secure && !page.secure && page.hostname !== 'localhost') {
+                return {cause: 'secure', reason: 'Secure cookies cannot be set from an insecure page'};
+            }
+
+            domain = typeof a.domain === 'string' ? a.domain.toLowerCase().replace(/^\./, '') : '';
+
+            if (domain) {
+
+                if (!domainMatches(page.hostname, domain)) {
+                    return {cause: 'domain', reason: 'the domain ' + domain + ' does not match ' + page.hostname};
+                }
+
+                if (domain !== page.hostname && bspCookie.isPublicSuffix(domain)) {
+                    return {cause: 'domain', reason: 'the domain ' + domain + ' is a public suffix'};
+                }
+            }
+
+            path = typeof a.path === 'string' && a.path.charAt(0) === '/' ? a.path :
+                page.path.substring(0, page.path.lastIndexOf('/')) || '/';
+
+            if (/^__Secure-/i.test(parsed.name) && !secure) {
+                return {cause: 'prefix', reason: '__Secure- cookies must be secure'};
+            }
+
+            if (/^__Host-/i.test(parsed.name) && (!secure || domain || a.path !== '/')) {
+                return {cause: 'prefix', reason: '__Host- cookies must be secure, without a domain, and with path=/'};
+            }
+
+            if (typeof a.samesite === 'string' && a.samesite.toLowerCase() === 'none' && !secure) {
+                return {cause: 'sameSite', reason: 'SameSite=None cookies must be secure'};
+            }
+
+            if (a.hasOwnProperty('max-age') && /^-?\d+$/.test(a['max-age'])) {
+                expires = time + parseInt(a['max-age'], 10) * 1000;
+            } else if (typeof a.expires === 'string' && !isNaN(new Date(a.expires).getTime())) {
+                expires = new Date(a.expires).getTime();
+            }
+
+            return {
+                name: parsed.name,
+                value: parsed.value,
+                domain: domain || page.hostname,
+                hostOnly: !domain,
+                path: path,
+                secure: secure,
+                httpOnly: false,
+                sameSite: typeof a.samesite === 'string' ? a.samesite : null,
+                partitioned: a.hasOwnProperty('partitioned'),
+                priority: typeof a.priority === 'string' ? a.priority : null,
+                expires: expires,
+                created: time,
+                attributes: a
+            };
+        }
+
+        jar = {
+
+            type: 'test',
+
+            read: function () {
+
+                var i, list = visible(), pairs = [];
+
+                for (i = 0; i < list.length; i++) {
+                    pairs.push(list[i].name ? list[i].name + '=' + list[i].value : list[i].value);
+                }
+
+                return pairs.join('; ');
+            },
+
+            write: function (s) {
+
+                var c, i, parsed = parseSetCookie(s), result;
+
+                result = accept(parsed);
+                log.push({header: s, name: parsed.name, value: parsed.value, attributes: parsed.attributes,
+                    rejected: result.cause ? result.reason : null, cause: result.cause || null});
+
+                if (result.cause) {
+                    return;
+                }
+
+                for (i = 0; i < cookies.length; i++) {
+
+                    c = cookies[i];
+
+                    if (c.name === result.name && c.domain === result.domain && c.path === result.path) {
+                        // Replacing a cookie keeps its creation time, so it keeps its place in the order
+                        result.created = c.created;
+                        result.order = c.order;
+                        cookies.splice(i, 1);
+                        break;
+                    }
+                }
+
+                if (!result.hasOwnProperty('order')) {
+                    result.order = counter++;
+                }
+
+                if (result.expires === null || result.expires > now()) {
+                    cookies.push(result);
+                }
+            },
+
+            /**
+             * Get the name, value and path of the cookies that apply to the current URL, in the order
+             * read() lists them.
+             *
+             * @returns {Object[]}
+             */
+            entries: function () {
+
+                var i, list = visible(), result = [];
+
+                for (i = 0; i < list.length; i++) {
+                    result.push({name: list[i].name, value: list[i].value, path: list[i].path});
+                }
+
+                return result;
+            },
+
+            /**
+             * Get all cookies in the jar, including those that do not apply to the current URL, with all of their
+             * attributes: name, value, domain, hostOnly, path, secure, httpOnly, sameSite, partitioned,
+             * priority, expires (time in milliseconds, or null for session cookies), created, and
+             * the attributes as they were written.
+             *
+             * @returns {Object[]}
+             */
+            cookies: function () {
+
+                var i, result = [];
+
+                removeExpired();
+
+                for (i = 0; i < cookies.length; i++) {
+                    result.push(copy(cookies[i]));
+                }
+
+                return result;
+            },
+
+            /**
+             * Get a cookie in the jar by name, with all of its attributes. Refer to cookies().
+             *
+             * @param {String} name
+             * @param {Object} [match] Path and domain to find one of several cookies with the same name.
+             * @returns {Object|null}
+             */
+            cookie: function (name, match) {
+
+                var i, list = jar.cookies();
+
+                match = match || {};
+
+                for (i = 0; i < list.length; i++) {
+                    if (list[i].name === name && (!match.path || list[i].path === match.path) &&
+                            (!match.domain || list[i].domain === match.domain.toLowerCase().replace(/^\./, ''))) {
+                        return list[i];
+                    }
+                }
+
+                return null;
+            },
+
+            /**
+             * Get every cookie string that was written, in order, including those the jar rejected.
+             * Each item has header, name, value, attributes (lowercase names), rejected
+             * (the reason, or null if the cookie was accepted) and cause (a short code such as 'secure' or
+             * 'domain', as the reasons of {@link cookie.trySet}, or null).
+             *
+             * @returns {Object[]}
+             */
+            writes: function () {
+                return log.slice(0);
+            },
+
+            /**
+             * Get or change the current URL.
+             *
+             * @param {String} [url]
+             * @returns {String|Object} The jar if a URL was given, so calls can be chained.
+             */
+            url: function (url) {
+
+                if (typeof url === 'undefined') {
+                    return (page.secure ? 'https://' : 'http://') + page.hostname + page.path;
+                }
+
+                page = parseUrl(url);
+                return jar;
+            },
+
+            /**
+             * Get or set the time of the clock.
+             *
+             * @param {Number|Date} [time] Time in milliseconds or a date. Null uses the real time again.
+             * @returns {Number|Object} The time in milliseconds, or the jar if a time was given.
+             */
+            now: function (time) {
+
+                if (typeof time === 'undefined') {
+                    return now();
+                }
+
+                clock = time === null ? null : new Date(time).getTime();
+                return jar;
+            },
+
+            /**
+             * Move the clock forward, so cookies expire.
+             *
+             * @param {Number} ms Milliseconds.
+             * @returns {Object} The jar.
+             */
+            tick: function (ms) {
+                clock = now() + ms;
+                return jar;
+            },
+
+            /**
+             * Remove all cookies and forget what was written.
+             *
+             * @returns {Object} The jar.
+             */
+            clear: function () {
+                cookies = [];
+                log = [];
+                return jar;
+            }
+        };
+
+        return jar;
+    }
+
+
+    /**
+     * Create an in-memory cookie jar for unit tests, that follows the rules browsers use for document.cookie.
+     *
+     * <p>Domain and path matching, the secure attribute, the __Secure- and __Host- prefixes, and expiry
+     * by Expires and Max-Age all work as they do in browsers, with a clock and a current URL that the test
+     * controls. Cookies that a browser would reject are not stored. Every cookie string that was written
+     * is kept, so tests can check exactly which attributes were set.</p>
+     *
+     * <p>The jar is a backing store, so pass it in the store option, or assign it to {@link cookie.store} or to
+     * the store default of an instance. Instances created with {@link cookie.create} before this file was loaded
+     * do not have this function, so call it on {@link cookie}.</p>
+     *
+     * @returns {Object} Backing store with these additional functions:
+     * <ul>
+     * <li>cookies() - all cookies in the jar with their attributes: name, value, domain, hostOnly, path, secure,
+     * httpOnly, sameSite, partitioned, priority, expires (milliseconds, or null for session cookies), created
+     * and attributes (the attributes as they were written, with lowercase names)</li>
+     * <li>cookie(name, [{path, domain}]) - one cookie with its attributes, or null</li>
+     * <li>entries() - name, value and path of the cookies that apply to the current URL</li>
+     * <li>writes() - every cookie string that was written, with header, name, value, attributes and
+     * rejected (the reason the jar did not store it, or null) and cause</li>
+     * <li>url([url]) - get or change the current URL</li>
+     * <li>now([time]) - get or set the clock, null uses the real time</li>
+     * <li>tick(ms) - move the clock forward</li>
+     * <li>clear() - remove all cookies and writes</li>
+     * </ul>
+     *
+     * @param {Object} [config]
+     * @param {String} [config.url='https://www.example.com/'] The current URL.
+     * @param {Number|Date} [config.now] The time of the clock. By default the clock uses the real time.
+     *
+     * @example
+     * jar = cookie.testJar({url: 'https://shop.example.com/cart', now: Date.UTC(2030, 0, 1)});
+     * api = cookie.create({defaults: {store: jar}});
+     * api.set('session', 'abc', {path: '/', expires: 1, secure: true});
+     * jar.cookie('session').expires; // Date.UTC(2030, 0, 2)
+     * jar.tick(2 * 24 * 60 * 60 * 1000);
+     * api.get('session'); // ''
+     */
+
+    bspCookie.testJar = function (config) {
+        return createTestJar(config);
+    };
+
+    return bspCookie.testJar;
+}));
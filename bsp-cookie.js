@@ -1,4 +1,23 @@
-define(function () {
+/**
+ * Cookie utilities.
+ *
+ * <p>The module has no dependencies. It can be loaded with an AMD loader such as RequireJS, with require()
+ * in Node or a bundler, as an ES module through bsp-cookie.mjs, or with a script tag, which defines
+ * the global variable bspCookie. The same {@link cookie} function is returned in each case.</p>
+ */
+(function (root, factory) {
+
+    "use strict";
+
+    if (typeof define === 'function' && define.amd) {
+        define(factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.bspCookie = factory();
+    }
+
+}(typeof self !== 'undefined' ? self : this, function () {
 
     "use strict";
 
@@ -154,6 +173,51 @@ define(function () {
     }
 
 
+    /**
+     * Regular expression that matches a valid cookie name, a token as defined by RFC 6265 section 4.1.1
+     * (any visible ASCII character except separators).
+     *
+     * @private
+     */
+    var cookieNameToken = /^[!#$%&'*+\-.\^_`|~0-9A-Za-z]+$/;
+
+
+    /**
+     * Make sure the name of a cookie that is set is a valid token, otherwise the browser would set a different
+     * cookie. Reading a cookie with an invalid name does not throw, because no cookie can have that name.
+     *
+     * @private
+     * @param {String} name
+     * @throws {String} If the name contains characters that are not allowed.
+     */
+    function checkName(name) {
+        if (!cookieNameToken.test(name)) {
+            throw 'Invalid cookie name ' + name + ', names can only contain letters, numbers and !#$%&\'*+-.^_`|~';
+        }
+    }
+
+
+    /**
+     * Get the value codec to use for a cookie.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} [name] The codec option, refer to {@link cookie.codecs}.
+     * @returns {Object} The codec.
+     * @throws {String} If the codec is not known.
+     */
+    function getCodec(self, name) {
+
+        name = name || self.codecDefault;
+
+        if (!self.codecs.hasOwnProperty(name)) {
+            throw 'Unknown cookie codec ' + name;
+        }
+
+        return self.codecs[name];
+    }
+
+
     /**
      * Substitution matrix for numbers in rot5. Add five to numbers 0-4; subtract 5 from numbers 5-9.
      * We could calculate this, but it is easier and better performance to hard-code it here.
@@ -199,400 +263,5437 @@ define(function () {
 
 
     /**
-     * @namespace Functions that manipulate cookies
-     *
-     * @description Get, set, or delete a cookie.
-     *
-     * <p><b>IMPORTANT:</b> this function should not be called directly,
-     * use the shortcut methods attached to this function object instead.
-     * This function is subject to change without notice.</p>
-     *
-     * @returns {String||null} The cookie value. If the scramble option was specified, returns the scrambled value
-     * if you are setting the cookie, and the unscrambled value if you are getting the cookie.
-     * If retrieving a cookie that does not exist, returns null.
-     *
-     * @param {String} name Name of the cookie to get or set.
-     *
-     * @param {String} [value] Value of the cookie. Only used when setting the cookie.
-     *
-     * @param {Object} [options] Options for the cookie.
-     *
-     * @param {Number|Date} [options.expires=session] Expiration data for the cookie.
-     * If you specify a number, it represents a number of days.
-     * If you specify a negative number (e.g. a date in the past), the cookie will be deleted.
-     * If you specify null or omit this option, the cookie will be a session cookie.
-     *
-     * @param {String} [options.path=/] Path attribute of the cookie.
-     * By default this is '/' so the cookie will apply to all paths, since that is the most common use.
-     * <p>To limit the scope of your cookie, you can set the path of the cookie:</p>
-     * <ul>
-     * <li>Set options.path to an empty string to limit the cookie to the directory of the current page
-     * (and all subdirectories).</li>
-     * <li>You can also set options.path to a path other than the current page; however,
-     * there is a bug in IE where the path must be a directory name ending with slash.</li>
-     * </ul>
-     *
-     * @param {String} [options.domain=current page domain] Domain attribute of the cookie.
-     * Set this to the second level domain (last two parts of the domain, like psd.com)
-     *
-     * @param {Boolean} [options.secure=false] Require secure transmission of the cookie.
-     *
-     * @param {Boolean|String} [options.scramble] Scramble or unscramble the value of the cookie.
+     * Copy the properties of one or more objects to a target object. Properties whose value is undefined
+     * are skipped, so options that are not specified do not replace the defaults.
      *
-     * <p>When retrieving a cookie value, it does not matter which value you use for the scramble option
-     * as long as it is "true" or truthy: the cookie value contains a prefix that indicates which algorithm
-     * was used to encode the cookie. For backwards compatibility, if no prefix is found in the cookie,
-     * "rot13" is assumed.</p>
+     * Added here so this cookie code does not have any dependence on jQuery.
      *
-     * <p>When setting a cookie, this option should contain "true" to scramble the cookie using the default scramble
-     * algorithm {@link cookie.scramblerDefault} (rot13n), or a string to indicate a different scramble algorithm
-     * to use.</p>
+     * @private
+     * @param {Object} target The object to change.
+     * @param {...Object} [source] Objects to copy properties from. Null and undefined are skipped.
+     * @returns {Object} The target.
+     */
+    function extend(target) {
+
+        var i, key, source;
+
+        for (i = 1; i < arguments.length; i++) {
+
+            source = arguments[i];
+
+            if (source === null || source === undefined) {
+                continue;
+            }
+
+            for (key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key) && source[key] !== undefined) {
+                    target[key] = source[key];
+                }
+            }
+        }
+
+        return target;
+    }
+
+
+    /**
+     * Allowed values for the SameSite attribute, keyed by lowercase name so options are case-insensitive.
      *
-     * <p>The following algorithms are available by default, but others can be added:</p>
+     * @private
+     */
+    var sameSiteValues = {
+        strict: 'Strict',
+        lax: 'Lax',
+        none: 'None'
+    };
+
+
+    /**
+     * Allowed values for the (non-standard, Chrome only) Priority attribute, keyed by lowercase name.
      *
-     * <ul>
-     * <li>rot13 - scrambles letters a-z</li>
-     * <li>rot13n - scrambles letters a-z and numbers 0-9 (the default if you specify "true")</li>
-     * </ul>
+     * @private
+     */
+    var priorityValues = {
+        low: 'Low',
+        medium: 'Medium',
+        high: 'High'
+    };
+
+
+    /**
+     * Look up an attribute value in one of the tables above, ignoring case.
      *
-     * <p>If you set this to a value that is not a valid scramble algorithm then it defaults to rot13n.</p>
+     * @private
+     * @param {Object} table Map of lowercase names to attribute values.
+     * @param {String} value The value given in the options.
+     * @param {String} option Name of the option, used in the error message.
+     * @returns {String} The attribute value as it should be written to the cookie.
+     * @throws {String} If the value is not in the table.
+     */
+    function attributeValue(table, value, option) {
+
+        var key = String(value).toLowerCase();
+
+        if (!table.hasOwnProperty(key)) {
+            throw 'Invalid cookie option ' + option + ': ' + value;
+        }
+
+        return table[key];
+    }
+
+
+    /**
+     * Backing store that reads and writes document.cookie. This is the default store.
      *
-     * <p>Refer to {@link cookie.scramblers} for more information on adding custom algorithms.<p>
+     * <p>A backing store is any object with a read() function that returns the cookies in the format of
+     * document.cookie (and of the Cookie request header), and a write() function that accepts a single cookie
+     * string in the format of document.cookie assignments (and of the Set-Cookie response header).</p>
      *
-     * @requires JSON
-     * @requires trim()
+     * @private
      */
-    var cookie = function (name, value, options) {
+    var documentStore = {
 
-        // The following comment block should appear in the final minified code
+        type: 'cookie',
 
-        /*! BEGIN LICENSE Cookie plugin
-         * This code was based on:
-         * Cookie plugin
-         * Copyright (c) 2006 Klaus Hartl (stilbuero.de)
-         * Dual licensed under the MIT and GPL licenses:
-         * http://www.opensource.org/licenses/mit-license.php
-         * http://www.gnu.org/licenses/gpl.html
-         */
+        read: function () {
+            return document.cookie;
+        },
 
-        var
-            cookie,
-            cookieValue,
-            cookies,
-            date,
-            decode,
-            domain,
-            encode,
-            expires = '',
-            i,
-            path,
-            prefix,
-            secure,
-            self,
-            valueEncoded;
+        write: function (s) {
+            document.cookie = s;
+        }
+    };
 
-        // Because we have an unusual object structure, we can't use "this".
-        // Set the self variable so we can access variables that we'll attach to this function.
-        self = cookie;
 
-        options = options || {};
+    /**
+     * Split a cookie string in the format of document.cookie or the Cookie request header into name/value pairs.
+     *
+     * <p>Values are returned exactly as they appear in the string, without decoding.
+     * Pairs without an equals sign are ignored.</p>
+     *
+     * @private
+     * @param {String} header Cookie string such as "a=1; b=2".
+     * @returns {Object[]} Array of {name, value} objects in the order they appear in the string.
+     */
+    function parseCookieHeader(header) {
 
-        if (typeof value !== 'undefined') {
+        var i, index, pair, pairs, result = [];
 
-            // A name and a value was given, so we will set the cookie
+        if (!header) {
+            return result;
+        }
 
-            // If value is null, that means we will delete the cookie
-            if (value === null) {
-                value = '';
-                options.expires = -1;
-            }
+        pairs = header.split(';');
 
-            // Check if the cookie value needs to be scrambled
-            if (options.scramble) {
+        for (i = 0; i < pairs.length; i++) {
 
-                // Set the default algorithm if scramble is set to "true" or to a value that is not a known algorithm
-                if (!self.scramblers[options.scramble]) {
-                    options.scramble = self.scramblerDefault;
-                }
+            pair = trim(pairs[i]);
+            index = pair.indexOf('=');
 
-                // We'll assume that the encode function is set up correctly,
-                // otherwise let an error happen when it is called
-                encode = self.scramblers[options.scramble].encode;
+            if (index > 0) {
+                result.push({
+                    name: pair.substring(0, index),
+                    value: pair.substring(index + 1)
+                });
+            }
+        }
 
-                // Encode the value
-                value = encode(value);
+        return result;
+    }
 
-                // Add a prefix to the value
-                value = scramblePrefixAdd(options.scramble, value);
-            }
 
-            // Check if the expiration is a number or a date object
-            if (options.expires && (typeof options.expires === 'number' || options.expires.toUTCString)) {
+    /**
+     * The most recently parsed cookie string and its result, used by parseCookies().
+     *
+     * @private
+     */
+    var parsedCache = {
+        header: null,
+        cookies: []
+    };
 
-                if (typeof options.expires === 'number') {
 
-                    // Expires is a number - convert number of days to a date object
-                    date = new Date();
-                    date.setTime(date.getTime() + (options.expires * 24 * 60 * 60 * 1000));
+    /**
+     * Get the name/value pairs of a cookie string, reusing the previous result if the string has not changed.
+     *
+     * <p>Reading document.cookie is cheap compared to splitting and trimming it, and most pages read many cookies
+     * between writes, so this avoids parsing the same string over and over.
+     * The returned array is shared and must not be modified.</p>
+     *
+     * @private
+     * @param {String} header Cookie string such as "a=1; b=2".
+     * @returns {Object[]} Array of {name, value} objects, refer to parseCookieHeader().
+     */
+    function parseCookies(header) {
 
-                } else {
+        header = header || '';
 
-                    // Expires is a date object - use it as the expiration
-                    date = options.expires;
-                }
+        if (parsedCache.header !== header) {
+            parsedCache.cookies = parseCookieHeader(header);
+            parsedCache.header = header;
+        }
 
-                // Set the expires value to use when creating the cookie
-                expires = '; expires=' + date.toUTCString();
-            }
+        return parsedCache.cookies;
+    }
 
-            domain = options.domain ? '; domain=' + (options.domain) : '';
-            secure = options.secure ? '; secure' : '';
 
-            // Set the cookie path.
-            //
-            // Note there is a bug in IE, where document.cookie will not return a cookie
-            // if it was set with a path attribute containing a filename.
-            // Internet Explorer Cookie Internals (FAQ)
-            // http://blogs.msdn.com/b/ieinternals/archive/2009/08/20/wininet-ie-cookie-internals-faq.aspx
-            //
-            // The default path with be "/" if you don't specify options.path
-            //
-            // If you set options.path to an empty string, then we will clear the path for the cookie,
-            // and the path will default to the directory of the current page.
-            //
-            // To set a path manually you can set options.path, but you must be sure it does not
-            // contain a filename like /path/default.htm
-            //
-            // Note: due to the bug in IE, there does not appear to be a way to specify a cookie
-            // that is set only for a single page, you can only set a cookie for all urls within
-            // a directory (and sub-directories below).
+    /**
+     * Get the stages of the scramble pipeline to use when setting a cookie.
+     *
+     * <p>The scramble option can be the name of an algorithm, or several names separated by "|" (or an array),
+     * such as "lz|rot13n", to apply the stages from left to right. A stage can be a scramble algorithm or
+     * a compression algorithm. True, or a name that is not a known algorithm, selects
+     * {@link cookie.scramblerDefault}, which can also be a pipeline.</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Boolean|String|String[]} option The scramble option.
+     * @returns {Object[]} Array of stages, each with the name of the algorithm, the algorithm,
+     * and compressor (true if it is a compression algorithm).
+     * @throws {String} If a stage of a pipeline is not a known algorithm.
+     */
+    function scramblePipeline(self, option) {
 
-            if (options.path === undefined) {
+        var i, names, stages = [];
 
-                // Default to '/' if path is not specified so the cookie will apply to every page in the domain.
-                path = '; path=/';
+        names = typeof option === 'string' ? option.split('|') : option;
 
-            } else if (options.path === '') {
+        if (!(names instanceof Array) || (names.length === 1 && !scrambleStage(self, names[0]))) {
+            names = String(self.scramblerDefault).split('|');
+        }
 
-                // If path was specified as an empty string, do not set a path,
-                // so the cookie will apply only  to the current path
-                path = '';
+        for (i = 0; i < names.length; i++) {
 
-            } else {
-                // If a path was specified, set it
-                path = '; path=' + options.path;
+            stages.push(scrambleStage(self, names[i]));
+
+            if (!stages[i]) {
+                throw 'Unknown scramble algorithm ' + names[i];
             }
+        }
+
+        return stages;
+    }
 
-            document.cookie = [name, '=', encodeValue(value), expires, path, domain, secure].join('');
 
-            return value;
+    /**
+     * Find a scramble or compression algorithm by name.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name
+     * @returns {Object|null} Object with name, algorithm and compressor properties, or null if it is not known.
+     */
+    function scrambleStage(self, name) {
 
-        } else {
+        if (self.scramblers.hasOwnProperty(name)) {
+            return {name: name, algorithm: self.scramblers[name], compressor: false};
+        }
 
-            // Only a cookie name was specified, so we will get the cookie value
-            cookieValue = null;
+        if (self.compressors.hasOwnProperty(name)) {
+            return {name: name, algorithm: self.compressors[name], compressor: true};
+        }
 
-            // Make sure there are cookies defined
-            if (document.cookie && document.cookie !== '') {
+        return null;
+    }
 
-                // Separate individual cookies
-                cookies = document.cookie.split(';');
 
-                // Loop through all cookies
-                for (i = 0; i < cookies.length; i++) {
+    /**
+     * Scramble a cookie value with the stages of a pipeline, and add the prefix, such as "[lz|rot13n]".
+     *
+     * @private
+     * @param {Object[]} stages Stages from scramblePipeline().
+     * @param {String} value The cookie value.
+     * @returns {String} The scrambled value with the prefix.
+     * @throws {String} If one of the algorithms is asynchronous.
+     */
+    function scramble(stages, value) {
+
+        var i, param, prefixes = [];
 
-                    // Trim whitespace and special characters at start and end
-                    cookie = trim(cookies[i]);
+        for (i = 0; i < stages.length; i++) {
+
+            if (stages[i].algorithm.async) {
+                throw 'Scramble algorithm ' + stages[i].name + ' is asynchronous, use setAsync()';
+            }
 
-                    // Does this cookie string begin with the name we want?
-                    if (cookie.substring(0, name.length + 1) === (name + '=')) {
+            // Some algorithms store a parameter in the prefix, such as the id of the encryption key
+            param = stages[i].algorithm.param ? stages[i].algorithm.param() : '';
 
-                        // Get the cookie value and remove browser encoding
-                        cookieValue = decodeValue(cookie.substring(name.length + 1));
+            // We'll assume that the encode function is set up correctly,
+            // otherwise let an error happen when it is called
+            value = stages[i].algorithm.encode(String(value), param);
 
-                        // Check if this is a scrambled cookie
-                        if (options.scramble) {
+            prefixes.push(param ? stages[i].name + ':' + param : stages[i].name);
+        }
 
-                            // Try to get the scramble prefix from the cookie value
-                            prefix = scramblePrefixGet(cookieValue);
+        return scramblePrefixAdd(prefixes.join('|'), value);
+    }
 
-                            // For backwards compatibility, use rot13 if there is no prefix
-                            if (!prefix) {
-                                prefix = 'rot13';
-                            }
 
-                            // Throw an error if we don't know how to decode
-                            if (!self.scramblers[prefix]) {
-                                throw 'Cannot unscramble cookie with prefix ' + prefix;
-                            }
+    /**
+     * Unscramble a cookie value.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} value The decoded cookie value, including the scramble prefix.
+     * @returns {String|null} The unscrambled value, or null if compressed data in the pipeline is corrupt.
+     * @throws {String} If the scramble prefix is not a known algorithm, or an algorithm is asynchronous.
+     */
+    function unscramble(self, value) {
 
-                            // Remove the scramble prefix
-                            cookieValue = scramblePrefixRemove(cookieValue);
+        var i, stages = unscramblers(self, value);
 
-                            // We'll assume that the decode function is set up correctly,
-                            // otherwise let an error happen when it is called
-                            decode = self.scramblers[prefix].decode;
+        // Remove the scramble prefix, then decode the stages in reverse order
+        value = scramblePrefixRemove(value);
 
-                            cookieValue = decode(cookieValue);
-                        }
+        for (i = stages.length - 1; i >= 0 && value !== null; i--) {
 
-                        // Stop looping since we found the cookie
-                        break;
-                    }
-                }
+            if (stages[i].algorithm.async) {
+                throw 'Scramble algorithm ' + stages[i].name + ' is asynchronous, use getAsync()';
             }
 
-            return cookieValue;
+            // We'll assume that the decode function is set up correctly,
+            // otherwise let an error happen when it is called
+            value = stages[i].algorithm.decode(value, stages[i].param);
         }
-    };
+
+        return value;
+    }
+
+
+    /**
+     * Find the algorithms that can unscramble a cookie value, in the order they were applied.
+     *
+     * <p>The prefix can contain several algorithms separated by "|", such as "[lz|rot13n]",
+     * and a parameter for an algorithm after a colon, such as "[aesgcm:k2]".</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} value The decoded cookie value, including the scramble prefix.
+     * @returns {Object[]} Array of stages, each with the name of the algorithm, the algorithm,
+     * and the parameter from the prefix. Empty if the value has no prefix and {@link cookie.scramblerLegacy}
+     * is not set.
+     * @throws {String} If the scramble prefix is not a known algorithm.
+     */
+    function unscramblers(self, value) {
+
+        // Try to get the scramble prefix from the cookie value
+        var prefix = scramblePrefixGet(value),
+            i,
+            index,
+            names,
+            stage,
+            stages = [];
+
+        // For backwards compatibility, values without a prefix were scrambled with the legacy algorithm
+        if (!prefix) {
+            prefix = self.scramblerLegacy || '';
+        }
+
+        names = prefix ? prefix.split('|') : [];
+
+        for (i = 0; i < names.length; i++) {
+
+            index = names[i].indexOf(':');
+            stage = scrambleStage(self, index === -1 ? names[i] : names[i].substring(0, index));
+
+            // Throw an error if we don't know how to decode
+            if (!stage) {
+                throw 'Cannot unscramble cookie with prefix ' + names[i].split(':')[0];
+            }
+
+            stage.param = index === -1 ? '' : names[i].substring(index + 1);
+            stages.push(stage);
+        }
+
+        return stages;
+    }
+
+
+    /**
+     * Unscramble a cookie value with synchronous or asynchronous algorithms.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} value The decoded cookie value, including the scramble prefix.
+     * @returns {Promise} Promise for the unscrambled value.
+     */
+    function unscrambleAsync(self, value) {
+
+        return new Promise(function (resolve) {
+
+            var stages = unscramblers(self, value);
+
+            function next(i, value) {
+
+                if (i < 0 || value === null) {
+                    return value;
+                }
+
+                return Promise.resolve(stages[i].algorithm.decode(value, stages[i].param)).then(function (value) {
+                    return next(i - 1, value);
+                });
+            }
+
+            resolve(next(stages.length - 1, scramblePrefixRemove(value)));
+        });
+    }
+
+
+    /**
+     * Get the names of the algorithms of a scramble pipeline, without their parameters, to compare pipelines.
+     *
+     * @private
+     * @param {Object[]} stages Stages from scramblePipeline() or unscramblers().
+     * @returns {String} Names separated by "|".
+     */
+    function pipelineName(stages) {
+
+        var i, names = [];
+
+        for (i = 0; i < stages.length; i++) {
+            names.push(stages[i].name);
+        }
+
+        return names.join('|');
+    }
+
+
+    /**
+     * Compress a cookie value if that makes the encoded cookie smaller.
+     *
+     * @private
+     * @param {Object} compressors The compression algorithms, refer to {@link cookie.compressors}.
+     * @param {String} compressorDefault The algorithm to use if option is not the name of an algorithm.
+     * @param {String} value The cookie value.
+     * @param {Boolean|String} option The compress option.
+     * @returns {String} The compressed value with the compression prefix, or the original value.
+     */
+    function compress(compressors, compressorDefault, value, option) {
+
+        var compressed, name;
+
+        name = compressors.hasOwnProperty(option) ? option : compressorDefault;
+        compressed = scramblePrefixAdd(name, compressors[name].encode(String(value)));
+
+        // Short values can get longer when they are compressed. Values that start with the prefix of
+        // a compression algorithm are always compressed, otherwise they would be decompressed when they are read.
+        return encodeValue(compressed).length < encodeValue(value).length || decompressor(compressors, value) ?
+                compressed : value;
+    }
+
+
+    /**
+     * Decompress a cookie value if it has the prefix of a known compression algorithm.
+     *
+     * @private
+     * @param {Object} compressors The compression algorithms, refer to {@link cookie.compressors}.
+     * @param {String} value The cookie value, after it has been unscrambled.
+     * @returns {String|null} The decompressed value, the value if it is not compressed,
+     * or null if the compressed data is corrupt.
+     */
+    function decompress(compressors, value) {
+
+        var prefix = decompressor(compressors, value);
+
+        if (!prefix) {
+            return value;
+        }
+
+        return compressors[prefix].decode(scramblePrefixRemove(value));
+    }
+
+
+    /**
+     * Get the compression algorithm of a value from its prefix.
+     *
+     * @private
+     * @param {Object} compressors The compression algorithms, refer to {@link cookie.compressors}.
+     * @param {String} value
+     * @returns {String} The name of the algorithm, or an empty string if the value does not have the prefix
+     * of a known compression algorithm.
+     */
+    function decompressor(compressors, value) {
+
+        var prefix = scramblePrefixGet(value);
+
+        return prefix && compressors.hasOwnProperty(prefix) ? prefix : '';
+    }
+
+
+    /**
+     * Compress a string with an LZW based algorithm, and write the result with the base64url alphabet
+     * so it is not changed by encodeValue().
+     *
+     * <p>The output uses codes of increasing bit length. Codes 0 and 1 introduce a new 8 or 16 bit character,
+     * code 2 marks the end of the data, and the rest refer to dictionary entries.
+     * This is the same format as the compressToEncodedURIComponent() function of lz-string,
+     * except that the base64url alphabet is used.</p>
+     *
+     * @private
+     * @param {String} s
+     * @returns {String}
+     */
+    function lzCompress(s) {
+
+        var bitsWritten = 0,
+            bits = 0,
+            c,
+            dictionary = {},
+            dictSize = 3,
+            enlargeIn = 2,
+            i,
+            numBits = 2,
+            output = [],
+            pending = {},
+            w = '',
+            wc;
+
+        // Write a number with the lowest bit first
+        function write(value, count) {
+
+            var j;
+
+            for (j = 0; j < count; j++) {
+
+                bits = (bits << 1) | (value & 1);
+                value >>= 1;
+
+                if (++bitsWritten === 6) {
+                    output.push(base64urlChars.charAt(bits));
+                    bits = 0;
+                    bitsWritten = 0;
+                }
+            }
+        }
+
+        // Dictionary keys are prefixed so strings like "__proto__" cannot collide with Object properties
+        function writeCode(w) {
+
+            if (pending.hasOwnProperty('#' + w)) {
+
+                if (w.charCodeAt(0) < 256) {
+                    write(0, numBits);
+                    write(w.charCodeAt(0), 8);
+                } else {
+                    write(1, numBits);
+                    write(w.charCodeAt(0), 16);
+                }
+
+                if (--enlargeIn === 0) {
+                    enlargeIn = Math.pow(2, numBits++);
+                }
+
+                delete pending['#' + w];
+
+            } else {
+                write(dictionary['#' + w], numBits);
+            }
+
+            if (--enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits++);
+            }
+        }
+
+        for (i = 0; i < s.length; i++) {
+
+            c = s.charAt(i);
+
+            if (!dictionary.hasOwnProperty('#' + c)) {
+                dictionary['#' + c] = dictSize++;
+                pending['#' + c] = true;
+            }
+
+            wc = w + c;
+
+            if (dictionary.hasOwnProperty('#' + wc)) {
+                w = wc;
+            } else {
+                writeCode(w);
+                dictionary['#' + wc] = dictSize++;
+                w = c;
+            }
+        }
+
+        if (w !== '') {
+            writeCode(w);
+        }
+
+        // Mark the end of the data, then fill up the last character
+        write(2, numBits);
+
+        while (bitsWritten !== 0) {
+            write(0, 1);
+        }
+
+        return output.join('');
+    }
+
+
+    /**
+     * Decompress a string that was compressed with lzCompress().
+     *
+     * @private
+     * @param {String} s
+     * @returns {String|null} The decompressed string, or null if the data is corrupt.
+     */
+    function lzDecompress(s) {
+
+        var c,
+            dictionary = [0, 1, 2],
+            dictSize = 4,
+            enlargeIn = 4,
+            entry,
+            index = 0,
+            numBits = 3,
+            position = 0,
+            result = [],
+            value = 0,
+            w;
+
+        // Read a number with the lowest bit first
+        function read(count) {
+
+            var j, n = 0;
+
+            for (j = 0; j < count; j++) {
+
+                if (position === 0) {
+
+                    if (index >= s.length) {
+                        throw 'end';
+                    }
+
+                    value = base64urlChars.indexOf(s.charAt(index++));
+                    position = 32;
+                }
+
+                n |= (value & position ? 1 : 0) << j;
+                position >>= 1;
+            }
+
+            return n;
+        }
+
+        try {
+
+            c = read(2);
+
+            if (c === 2) {
+                return '';
+            }
+
+            if (c > 2) {
+                return null;
+            }
+
+            c = String.fromCharCode(read(c === 0 ? 8 : 16));
+            dictionary[3] = c;
+            w = c;
+            result.push(c);
+
+            while (true) {
+
+                c = read(numBits);
+
+                if (c === 2) {
+                    return result.join('');
+                }
+
+                if (c < 2) {
+                    dictionary[dictSize++] = String.fromCharCode(read(c === 0 ? 8 : 16));
+                    c = dictSize - 1;
+                    enlargeIn--;
+                }
+
+                if (enlargeIn === 0) {
+                    enlargeIn = Math.pow(2, numBits++);
+                }
+
+                if (c < dictSize && typeof dictionary[c] === 'string') {
+                    entry = dictionary[c];
+                } else if (c === dictSize) {
+                    entry = w + w.charAt(0);
+                } else {
+                    return null;
+                }
+
+                result.push(entry);
+                dictionary[dictSize++] = w + entry.charAt(0);
+                w = entry;
+
+                if (--enlargeIn === 0) {
+                    enlargeIn = Math.pow(2, numBits++);
+                }
+            }
+
+        } catch (e) {
+
+            // The data ended before the end marker
+            return null;
+        }
+    }
+
+
+    /**
+     * Base64url alphabet, refer to RFC 4648 section 5.
+     *
+     * @private
+     */
+    var base64urlChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+
+    /**
+     * Encode bytes as base64url without padding.
+     *
+     * @private
+     * @param {Uint8Array} bytes
+     * @returns {String}
+     */
+    function base64urlEncode(bytes) {
+
+        var i, n, result = '';
+
+        for (i = 0; i < bytes.length; i += 3) {
+
+            n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+
+            result += base64urlChars.charAt(n >> 18 & 63) + base64urlChars.charAt(n >> 12 & 63) +
+                (i + 1 < bytes.length ? base64urlChars.charAt(n >> 6 & 63) : '') +
+                (i + 2 < bytes.length ? base64urlChars.charAt(n & 63) : '');
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Decode a base64url string, with or without padding.
+     *
+     * @private
+     * @param {String} s
+     * @returns {Uint8Array}
+     * @throws {String} If the string contains characters outside the base64url alphabet.
+     */
+    function base64urlDecode(s) {
+
+        var bits = 0, bytes = [], i, index, n = 0;
+
+        s = s.replace(/=+$/, '');
+
+        for (i = 0; i < s.length; i++) {
+
+            index = base64urlChars.indexOf(s.charAt(i));
+
+            if (index === -1) {
+                throw 'Invalid base64url string';
+            }
+
+            n = (n << 6) | index;
+            bits += 6;
+
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push(n >> bits & 255);
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+
+    /**
+     * Convert a string to UTF-8 bytes.
+     *
+     * @private
+     * @param {String} s
+     * @returns {Uint8Array}
+     */
+    function utf8Encode(s) {
+
+        var binary = unescape(encodeURIComponent(s)),
+            bytes = new Uint8Array(binary.length),
+            i;
+
+        for (i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+
+
+    /**
+     * Convert UTF-8 bytes to a string.
+     *
+     * @private
+     * @param {Uint8Array} bytes
+     * @returns {String}
+     */
+    function utf8Decode(bytes) {
+
+        var binary = '', i;
+
+        for (i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return decodeURIComponent(escape(binary));
+    }
+
+
+    /**
+     * Get the WebCrypto SubtleCrypto API.
+     *
+     * @private
+     * @returns {Object}
+     * @throws {String} If WebCrypto is not available, such as on pages that are not served over https.
+     */
+    function getSubtleCrypto() {
+
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw 'WebCrypto is not available';
+        }
+
+        return crypto.subtle;
+    }
+
+
+    /**
+     * Imported AES-GCM keys, keyed by the base64url key material, so each key is only imported once.
+     *
+     * @private
+     */
+    var importedKeys = {};
+
+
+    /**
+     * Create an authenticated encryption scramble algorithm using AES-GCM.
+     *
+     * <p>The id of the key that encrypted the value is stored in the scramble prefix, such as "[aesgcm:k2]",
+     * so values encrypted with older keys can still be decrypted as long as the key is in config.keys.
+     * The encrypted value is the base64url encoding of a random 12 byte initialization vector followed by
+     * the ciphertext and authentication tag.</p>
+     *
+     * @private
+     * @param {Object} config Object with keyId (the id of the key used to encrypt new values),
+     * and keys (an object of key ids to CryptoKey objects or base64url encoded raw 128 or 256 bit keys).
+     * The config is read each time a value is encrypted or decrypted, so keys can be added later.
+     * @returns {Object} Asynchronous scramble algorithm, refer to {@link cookie.scramblers}.
+     */
+    function createAesGcmScrambler(config) {
+
+        function getKey(id) {
+
+            var key = config.keys && config.keys.hasOwnProperty(id) ? config.keys[id] : null;
+
+            if (!key) {
+                return Promise.reject('Unknown encryption key ' + id);
+            }
+
+            if (typeof key !== 'string') {
+                return Promise.resolve(key);
+            }
+
+            if (!importedKeys.hasOwnProperty(key)) {
+                importedKeys[key] = getSubtleCrypto().importKey('raw', base64urlDecode(key), {name: 'AES-GCM'}, false,
+                    ['encrypt', 'decrypt']);
+            }
+
+            return importedKeys[key];
+        }
+
+        return {
+
+            async: true,
+
+            param: function () {
+
+                if (!config.keyId) {
+                    throw 'No encryption key id is set';
+                }
+
+                return config.keyId;
+            },
+
+            encode: function (text, id) {
+
+                return getKey(id).then(function (key) {
+
+                    var iv = crypto.getRandomValues(new Uint8Array(12));
+
+                    return getSubtleCrypto().encrypt({name: 'AES-GCM', iv: iv}, key, utf8Encode(text))
+                        .then(function (encrypted) {
+
+                            var bytes = new Uint8Array(12 + encrypted.byteLength);
+
+                            bytes.set(iv);
+                            bytes.set(new Uint8Array(encrypted), 12);
+
+                            return base64urlEncode(bytes);
+                        });
+                });
+            },
+
+            decode: function (text, id) {
+
+                return getKey(id).then(function (key) {
+
+                    var bytes = base64urlDecode(text);
+
+                    return getSubtleCrypto().decrypt({name: 'AES-GCM', iv: bytes.subarray(0, 12)}, key,
+                        bytes.subarray(12));
+
+                }).then(function (decrypted) {
+                    return utf8Decode(new Uint8Array(decrypted));
+                });
+            }
+        };
+    }
+
+
+    /**
+     * SHA-256 round constants, refer to FIPS 180-4 section 4.2.2.
+     *
+     * @private
+     */
+    var sha256K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+
+    /**
+     * Calculate the SHA-256 hash of some bytes.
+     *
+     * <p>WebCrypto can only hash asynchronously, and signed cookies must be readable with the synchronous get(),
+     * so the hash is calculated here.</p>
+     *
+     * @private
+     * @param {Uint8Array|Number[]} bytes
+     * @returns {Uint8Array} The 32 byte hash.
+     */
+    function sha256(bytes) {
+
+        var a, b, c, d, e, f, g, h, i, j, length, padded, result, s0, s1, t1, t2, w = new Array(64),
+            hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+        // Pad the message with a 1 bit, zeros, and the message length in bits, to a multiple of 64 bytes
+        length = bytes.length;
+        padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[length] = 0x80;
+
+        for (i = 1; i <= 4; i++) {
+            padded[padded.length - i] = (length * 8) >>> ((i - 1) * 8) & 255;
+        }
+
+        padded[padded.length - 5] = Math.floor(length / 0x20000000) & 255;
+
+        for (j = 0; j < padded.length; j += 64) {
+
+            for (i = 0; i < 64; i++) {
+
+                if (i < 16) {
+                    w[i] = (padded[j + i * 4] << 24) | (padded[j + i * 4 + 1] << 16) |
+                        (padded[j + i * 4 + 2] << 8) | padded[j + i * 4 + 3];
+                } else {
+                    s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                    s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                    w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+                }
+            }
+
+            a = hash[0];
+            b = hash[1];
+            c = hash[2];
+            d = hash[3];
+            e = hash[4];
+            f = hash[5];
+            g = hash[6];
+            h = hash[7];
+
+            for (i = 0; i < 64; i++) {
+
+                t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + sha256K[i] + w[i]) | 0;
+                t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            hash[0] = (hash[0] + a) | 0;
+            hash[1] = (hash[1] + b) | 0;
+            hash[2] = (hash[2] + c) | 0;
+            hash[3] = (hash[3] + d) | 0;
+            hash[4] = (hash[4] + e) | 0;
+            hash[5] = (hash[5] + f) | 0;
+            hash[6] = (hash[6] + g) | 0;
+            hash[7] = (hash[7] + h) | 0;
+        }
+
+        result = new Uint8Array(32);
+
+        for (i = 0; i < 8; i++) {
+            result[i * 4] = hash[i] >>> 24 & 255;
+            result[i * 4 + 1] = hash[i] >>> 16 & 255;
+            result[i * 4 + 2] = hash[i] >>> 8 & 255;
+            result[i * 4 + 3] = hash[i] & 255;
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Rotate a 32 bit number to the right, used by sha256().
+     *
+     * @private
+     * @param {Number} n
+     * @param {Number} bits
+     * @returns {Number}
+     */
+    function rotr(n, bits) {
+        return (n >>> bits) | (n << (32 - bits));
+    }
+
+
+    /**
+     * Calculate the HMAC-SHA256 of a message, refer to RFC 2104.
+     *
+     * @private
+     * @param {String} secret
+     * @param {String} message
+     * @returns {String} The base64url encoded signature.
+     */
+    function hmacSha256(secret, message) {
+
+        var i, inner, key, outer;
+
+        key = utf8Encode(secret);
+
+        // Keys longer than the block size are hashed first
+        if (key.length > 64) {
+            key = sha256(key);
+        }
+
+        message = utf8Encode(message);
+        inner = new Uint8Array(64 + message.length);
+        outer = new Uint8Array(96);
+
+        for (i = 0; i < 64; i++) {
+            inner[i] = (key[i] || 0) ^ 0x36;
+            outer[i] = (key[i] || 0) ^ 0x5c;
+        }
+
+        inner.set(message, 64);
+        outer.set(sha256(inner), 64);
+
+        return base64urlEncode(sha256(outer));
+    }
+
+
+    /**
+     * Compare two strings in a time that does not depend on where they differ,
+     * so signatures cannot be guessed one character at a time.
+     *
+     * @private
+     * @param {String} a
+     * @param {String} b
+     * @returns {Boolean}
+     */
+    function safeEqual(a, b) {
+
+        var diff = a.length ^ b.length, i;
+
+        for (i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+        }
+
+        return diff === 0;
+    }
+
+
+    /**
+     * Get the list of signing secrets from the sign or verify option.
+     *
+     * @private
+     * @param {Boolean|String|String[]} option The sign or verify option.
+     * @param {String[]} secrets The default secrets, refer to {@link cookie.secrets}.
+     * @returns {String[]}
+     * @throws {String} If there are no secrets.
+     */
+    function signingSecrets(option, secrets) {
+
+        if (typeof option === 'string') {
+            secrets = [option];
+        } else if (option instanceof Array) {
+            secrets = option;
+        }
+
+        if (!secrets || !secrets.length) {
+            throw 'No cookie signing secret is set';
+        }
+
+        return secrets;
+    }
+
+
+    /**
+     * Add a signature to a cookie value.
+     *
+     * <p>The signature is added after a tilde, optionally preceded by the time the value was signed
+     * in seconds and a period, for example "value~1700000000.signature".
+     * The signature covers the cookie name as well as the value, so a signed value cannot be copied
+     * to a different cookie.</p>
+     *
+     * @private
+     * @param {String} name Name of the cookie.
+     * @param {String} value Cookie value, after scrambling.
+     * @param {String} secret The secret to sign with.
+     * @param {Boolean|Number} timestamp Include the time the value was signed, or the time in seconds to include.
+     * @returns {String} The value with the signature added.
+     */
+    function signValue(name, value, secret, timestamp) {
+
+        var signed = value + '~';
+
+        if (timestamp) {
+            signed += (typeof timestamp === 'number' ? timestamp : Math.floor(new Date().getTime() / 1000)) + '.';
+        }
+
+        return signed + hmacSha256(secret, name + '=' + signed);
+    }
+
+
+    /**
+     * Check the signature of a cookie value.
+     *
+     * @private
+     * @param {String} name Name of the cookie.
+     * @param {String} value Cookie value including the signature.
+     * @param {String[]} secrets The secrets that are accepted.
+     * @param {Number} [maxAge] Maximum age of the signature in seconds.
+     * If specified, values without a signing time are rejected.
+     * @returns {String|null} The value without the signature, or null if the signature is missing,
+     * does not match any of the secrets, or is too old.
+     */
+    function verifyValue(name, value, secrets, maxAge) {
+
+        var i, index, signature, signed, time;
+
+        index = value.lastIndexOf('~');
+
+        if (index === -1) {
+            return null;
+        }
+
+        signed = value.substring(0, index + 1);
+        signature = value.substring(index + 1);
+
+        // Check for a signing time between the tilde and the signature
+        index = signature.indexOf('.');
+        time = index === -1 ? null : parseInt(signature.substring(0, index), 10);
+
+        if (index !== -1) {
+            signed += signature.substring(0, index + 1);
+            signature = signature.substring(index + 1);
+        }
+
+        if (typeof maxAge === 'number' && (time === null || isNaN(time) ||
+                new Date().getTime() / 1000 - time > maxAge)) {
+            return null;
+        }
+
+        for (i = 0; i < secrets.length; i++) {
+            if (safeEqual(hmacSha256(secrets[i], name + '=' + signed), signature)) {
+                return value.substring(0, value.lastIndexOf('~'));
+            }
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Encryption keys used by the aesgcm scramble algorithm. Refer to {@link cookie.encryption}.
+     *
+     * @private
+     */
+    var encryption = {
+        keyId: null,
+        keys: {}
+    };
+
+
+    /**
+     * Parse a cookie string in the format of a document.cookie assignment or the Set-Cookie response header.
+     *
+     * @private
+     * @param {String} s Cookie string such as "a=1; path=/; secure".
+     * @returns {Object} Object with the name, the raw value, and the attributes keyed by lowercase name.
+     * Attributes without a value (such as secure) are set to true.
+     */
+    function parseSetCookie(s) {
+
+        var attributes = {}, i, index, part, parts, first;
+
+        parts = s.split(';');
+        first = trim(parts[0]);
+
+        for (i = 1; i < parts.length; i++) {
+
+            part = trim(parts[i]);
+            index = part.indexOf('=');
+
+            if (index === -1) {
+                attributes[part.toLowerCase()] = true;
+            } else if (index > 0) {
+                attributes[part.substring(0, index).toLowerCase()] = part.substring(index + 1);
+            }
+        }
+
+        index = first.indexOf('=');
+
+        return {
+            name: index === -1 ? '' : first.substring(0, index),
+            value: index === -1 ? first : first.substring(index + 1),
+            attributes: attributes
+        };
+    }
+
+
+    /**
+     * Determine if the attributes of a parsed cookie string make it expire immediately.
+     *
+     * @private
+     * @param {Object} attributes Attributes from parseSetCookie().
+     * @param {Number} now The current time in milliseconds.
+     * @returns {Boolean}
+     */
+    function isExpired(attributes, now) {
+
+        // Max-Age takes precedence over Expires
+        if (attributes.hasOwnProperty('max-age')) {
+            return parseInt(attributes['max-age'], 10) <= 0;
+        }
+
+        if (attributes.hasOwnProperty('expires')) {
+            return new Date(attributes.expires).getTime() <= now;
+        }
+
+        return false;
+    }
+
+
+    /**
+     * Create a backing store for server-side rendering.
+     *
+     * <p>The store starts with the cookies from the Cookie request header. Each cookie that is set or deleted
+     * is collected as a Set-Cookie header string, and is also applied to the cookies that the store reads,
+     * so a value that is set during the request can be read back during the same request.</p>
+     *
+     * <p>The store uses the same value encoding and scramble prefixes as the browser,
+     * so cookies are interchangeable between the client and the server.</p>
+     *
+     * @private
+     * @param {String} [header] Value of the Cookie request header.
+     * @returns {Object} Backing store with an additional headers() function.
+     */
+    function createServerStore(header) {
+
+        var cookies = parseCookieHeader(header),
+            setCookies = [];
+
+        return {
+
+            type: 'server',
+
+            read: function () {
+
+                var i, pairs = [];
+
+                for (i = 0; i < cookies.length; i++) {
+                    pairs.push(cookies[i].name + '=' + cookies[i].value);
+                }
+
+                return pairs.join('; ');
+            },
+
+            write: function (s) {
+
+                var i, key, parsed;
+
+                parsed = parseSetCookie(s);
+
+                // Identify the cookie the same way the browser does, so setting the same cookie twice
+                // during a request only sends the last header
+                key = [parsed.name, parsed.attributes.path || '', parsed.attributes.domain || ''].join(';');
+
+                for (i = setCookies.length - 1; i >= 0; i--) {
+                    if (setCookies[i].key === key) {
+                        setCookies.splice(i, 1);
+                    }
+                }
+
+                setCookies.push({key: key, header: s});
+
+                // Apply the change to the cookies that will be read for the rest of the request
+                for (i = cookies.length - 1; i >= 0; i--) {
+                    if (cookies[i].name === parsed.name) {
+                        cookies.splice(i, 1);
+                    }
+                }
+
+                if (!isExpired(parsed.attributes, new Date().getTime())) {
+                    cookies.push({name: parsed.name, value: parsed.value});
+                }
+            },
+
+            /**
+             * Get the Set-Cookie header strings for the response.
+             *
+             * @returns {String[]}
+             */
+            headers: function () {
+
+                var i, result = [];
+
+                for (i = 0; i < setCookies.length; i++) {
+                    result.push(setCookies[i].header);
+                }
+
+                return result;
+            }
+        };
+    }
+
+
+    /**
+     * Check if a cookie path applies to a request path, as defined by RFC 6265 section 5.1.4.
+     *
+     * @private
+     * @param {String} cookiePath
+     * @param {String} requestPath
+     * @returns {Boolean}
+     */
+    function pathMatches(cookiePath, requestPath) {
+        return requestPath === cookiePath ||
+            (requestPath.indexOf(cookiePath) === 0 &&
+                (cookiePath.charAt(cookiePath.length - 1) === '/' || requestPath.charAt(cookiePath.length) === '/'));
+    }
+
+
+    /**
+     * Check if a cookie domain applies to a host name, as defined by RFC 6265 section 5.1.3.
+     *
+     * @private
+     * @param {String} hostname
+     * @param {String} domain Cookie domain without a leading dot.
+     * @returns {Boolean}
+     */
+    function domainMatches(hostname, domain) {
+        return hostname === domain ||
+            (!isHostOnly(hostname) && hostname.substring(hostname.length - domain.length - 1) === '.' + domain);
+    }
+
+
+    /**
+     * Prefix of the keys used by the storage fallback, so cookies do not collide with other keys in the storage.
+     *
+     * @private
+     */
+    var storageKeyPrefix = 'bsp-cookie:';
+
+
+    /**
+     * Result of the last check if the browser stores cookies, undefined until the first check.
+     *
+     * @private
+     */
+    var cookiesWork;
+
+
+    /**
+     * Fallback stores that were created, by fallback type, so every instance uses the same one.
+     *
+     * @private
+     */
+    var fallbackStores = {};
+
+
+    /**
+     * Check if document.cookie actually stores cookies, by writing a cookie and reading it back.
+     *
+     * <p>In privacy modes and some webviews cookie writes are silently ignored, and navigator.cookieEnabled
+     * is not always accurate, so it is only trusted when it says cookies are disabled.</p>
+     *
+     * @private
+     * @returns {Boolean}
+     */
+    function probeCookies() {
+
+        var probe = 'bsp-cookie-probe', result;
+
+        if (typeof document === 'undefined' ||
+            (typeof navigator !== 'undefined' && navigator.cookieEnabled === false)) {
+            return false;
+        }
+
+        try {
+            documentStore.write(probe + '=1; path=/');
+            result = rawValue(documentStore.read(), probe) === '1';
+            documentStore.write(probe + '=; path=/; expires=' + new Date(0).toUTCString());
+        } catch (e) {
+            result = false;
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Get localStorage or sessionStorage if it can be used.
+     *
+     * <p>Accessing the storage throws in some browsers when it is blocked, and writing to it throws in some
+     * privacy modes, so the storage is tested by writing a key.</p>
+     *
+     * @private
+     * @param {String} type 'localStorage' or 'sessionStorage'.
+     * @returns {Object|null} The storage, or null if it cannot be used.
+     */
+    function getWebStorage(type) {
+
+        var key = storageKeyPrefix + 'probe', storage;
+
+        try {
+            storage = window[type];
+            storage.setItem(key, '1');
+            storage.removeItem(key);
+        } catch (e) {
+            return null;
+        }
+
+        return storage;
+    }
+
+
+    /**
+     * Create a backing store that keeps cookies in localStorage or sessionStorage.
+     *
+     * <p>The expiry date of each cookie is stored with its value, and cookies that have expired are removed
+     * when the store is read, so expiry works as it does for cookies. Cookies without an expiry date are kept
+     * until they are deleted, or until the session ends if the storage is sessionStorage.
+     * Path and domain are ignored because the storage belongs to the whole origin.</p>
+     *
+     * @private
+     * @param {Object} storage localStorage or sessionStorage.
+     * @param {String} type Name of the storage, used as the type of the store.
+     * @returns {Object} Backing store.
+     */
+    function createWebStorageStore(storage, type) {
+
+        return {
+
+            type: type,
+
+            read: function () {
+
+                var entry, i, key, keys = [], now = new Date().getTime(), pairs = [];
+
+                // Collect the keys first, because removing items changes the indexes
+                for (i = 0; i < storage.length; i++) {
+                    key = storage.key(i);
+                    if (key && key.indexOf(storageKeyPrefix) === 0) {
+                        keys.push(key);
+                    }
+                }
+
+                for (i = 0; i < keys.length; i++) {
+
+                    try {
+                        entry = JSON.parse(storage.getItem(keys[i]));
+                    } catch (e) {
+                        entry = null;
+                    }
+
+                    if (!entry || (entry.expires !== null && entry.expires <= now)) {
+                        storage.removeItem(keys[i]);
+                    } else {
+                        pairs.push(keys[i].substring(storageKeyPrefix.length) + '=' + entry.value);
+                    }
+                }
+
+                return pairs.join('; ');
+            },
+
+            write: function (s) {
+
+                var attributes, expires = null, now = new Date().getTime(), parsed;
+
+                parsed = parseSetCookie(s);
+                attributes = parsed.attributes;
+
+                if (isExpired(attributes, now)) {
+                    storage.removeItem(storageKeyPrefix + parsed.name);
+                    return;
+                }
+
+                if (attributes.hasOwnProperty('max-age')) {
+                    expires = now + parseInt(attributes['max-age'], 10) * 1000;
+                } else if (attributes.hasOwnProperty('expires')) {
+                    expires = new Date(attributes.expires).getTime();
+                }
+
+                storage.setItem(storageKeyPrefix + parsed.name,
+                    JSON.stringify({value: parsed.value, expires: expires}));
+            }
+        };
+    }
+
+
+    /**
+     * Get the fallback store of a type, creating it the first time.
+     *
+     * <p>If localStorage or sessionStorage cannot be used either, cookies are kept in memory
+     * for as long as the page is open.</p>
+     *
+     * @private
+     * @param {String} type 'localStorage', 'sessionStorage' or 'memory'.
+     * @returns {Object} Backing store.
+     * @throws {String} If the type is not known.
+     */
+    function getFallbackStore(type) {
+
+        var storage, store;
+
+        if (fallbackStores.hasOwnProperty(type)) {
+            return fallbackStores[type];
+        }
+
+        if (type === 'localStorage' || type === 'sessionStorage') {
+            storage = getWebStorage(type);
+            store = storage ? createWebStorageStore(storage, type) : getFallbackStore('memory');
+        } else if (type === 'memory') {
+            store = createServerStore('');
+            store.type = 'memory';
+        } else {
+            throw 'Unknown cookie fallback ' + type;
+        }
+
+        fallbackStores[type] = store;
+        return store;
+    }
+
+
+    /**
+     * Get the backing store to use for a cookie.
+     *
+     * <p>This is the store option if it is specified, otherwise {@link cookie.store}. If that is document.cookie
+     * and a {@link cookie.fallback} is configured, the fallback store is used when the browser does not store
+     * cookies.</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Object} [options] The options of the call.
+     * @returns {Object} Backing store.
+     */
+    function storeFor(self, options) {
+
+        if (options && options.store) {
+            return options.store;
+        }
+
+        if (self.store !== documentStore || !self.fallback) {
+            return self.store;
+        }
+
+        if (cookiesWork === undefined) {
+            cookiesWork = probeCookies();
+        }
+
+        return cookiesWork ? documentStore : getFallbackStore(self.fallback);
+    }
+
+
+    /**
+     * Public suffix list bundled with the library, in the format of https://publicsuffix.org/list/.
+     *
+     * <p>This is a small part of the full list: the multi-level suffixes of common country domains and
+     * popular shared hosting domains. Suffixes that are a single label (top level domains) do not need to be listed,
+     * because the default rule treats every top level domain as a public suffix.
+     * Use {@link cookie.updatePublicSuffixes} to load the full list.</p>
+     *
+     * @private
+     */
+    var bundledPublicSuffixes = [
+        '// ===BEGIN ICANN DOMAINS===',
+        'ac.uk', 'co.uk', 'gov.uk', 'ltd.uk', 'me.uk', 'net.uk', 'nhs.uk', 'org.uk', 'plc.uk', 'police.uk', '*.sch.uk',
+        'asn.au', 'com.au', 'edu.au', 'gov.au', 'id.au', 'net.au', 'org.au',
+        'ac.jp', 'ad.jp', 'co.jp', 'ed.jp', 'go.jp', 'gr.jp', 'lg.jp', 'ne.jp', 'or.jp',
+        '*.kawasaki.jp', '!city.kawasaki.jp',
+        'ac.nz', 'co.nz', 'geek.nz', 'govt.nz', 'net.nz', 'org.nz', 'school.nz',
+        'ac.za', 'co.za', 'gov.za', 'net.za', 'org.za',
+        'ac.in', 'co.in', 'edu.in', 'firm.in', 'gen.in', 'gov.in', 'ind.in', 'net.in', 'org.in', 'res.in',
+        'com.br', 'edu.br', 'gov.br', 'net.br', 'org.br',
+        'com.cn', 'edu.cn', 'gov.cn', 'net.cn', 'org.cn',
+        'com.hk', 'edu.hk', 'gov.hk', 'net.hk', 'org.hk',
+        'ac.kr', 'co.kr', 'go.kr', 'ne.kr', 'or.kr', 're.kr',
+        'com.mx', 'edu.mx', 'gob.mx', 'net.mx', 'org.mx',
+        'com.ar', 'edu.ar', 'gob.ar', 'net.ar', 'org.ar',
+        'com.tr', 'edu.tr', 'gov.tr', 'net.tr', 'org.tr',
+        'ac.il', 'co.il', 'gov.il', 'net.il', 'org.il',
+        'com.sg', 'edu.sg', 'gov.sg', 'net.sg', 'org.sg',
+        'com.tw', 'edu.tw', 'gov.tw', 'net.tw', 'org.tw',
+        '*.ck', '!www.ck',
+        '// ===END ICANN DOMAINS===',
+        '// ===BEGIN PRIVATE DOMAINS===',
+        'amplifyapp.com', 'appspot.com', 'azurestaticapps.net', 'azurewebsites.net', 'bitbucket.io', 'blogspot.com',
+        'cloudfront.net', 'elasticbeanstalk.com', 'firebaseapp.com', 'fly.dev', 'github.io',
+        'githubusercontent.com', 'gitlab.io', 'glitch.me', 'herokuapp.com', 'herokussl.com', 'netlify.app',
+        'ngrok-free.app', 'ngrok.io', 'now.sh', 'onrender.com', 'pages.dev', 'readthedocs.io', 's3.amazonaws.com',
+        'surge.sh', 'trycloudflare.com', 'vercel.app', 'web.app', 'workers.dev',
+        '// ===END PRIVATE DOMAINS==='
+    ].join('\n');
+
+
+    /**
+     * Parse a public suffix list in the format of https://publicsuffix.org/list/.
+     *
+     * @private
+     * @param {String} text The list, one rule per line. Lines starting with "//" are comments.
+     * @returns {Object} The rules as keys, including "*." and "!" prefixes, with true as values.
+     */
+    function parsePublicSuffixes(text) {
+
+        var i, lines = text.split(/\r?\n/), rule, rules = {};
+
+        for (i = 0; i < lines.length; i++) {
+
+            // The rule is the first word on the line
+            rule = trim(lines[i]).split(/\s/)[0].toLowerCase();
+
+            if (rule && rule.indexOf('//') !== 0) {
+                rules[rule] = true;
+            }
+        }
+
+        return rules;
+    }
+
+
+    /**
+     * The public suffix rules in use. Refer to {@link cookie.updatePublicSuffixes}.
+     *
+     * @private
+     */
+    var publicSuffixRules = parsePublicSuffixes(bundledPublicSuffixes);
+
+
+    /**
+     * Find the public suffix of a host name, using the algorithm from https://publicsuffix.org/list/.
+     *
+     * @private
+     * @param {String} hostname Host name such as "news.example.co.uk".
+     * @returns {String} The public suffix, such as "co.uk".
+     */
+    function publicSuffix(hostname) {
+
+        var candidate, i, labels = hostname.toLowerCase().replace(/^\.|\.$/g, '').split('.');
+
+        // Look for the longest rule first. An exception rule means the suffix is one label shorter.
+        for (i = 0; i < labels.length; i++) {
+
+            candidate = labels.slice(i).join('.');
+
+            if (publicSuffixRules['!' + candidate]) {
+                return labels.slice(i + 1).join('.');
+            }
+
+            if (publicSuffixRules[candidate] ||
+                    (i < labels.length - 1 && publicSuffixRules['*.' + labels.slice(i + 1).join('.')])) {
+                return candidate;
+            }
+        }
+
+        // The default rule is "*", so the top level domain is the public suffix
+        return labels[labels.length - 1];
+    }
+
+
+    /**
+     * Determine if a host name can only have host-only cookies: IP addresses, localhost, and other names
+     * without a dot.
+     *
+     * @private
+     * @param {String} hostname
+     * @returns {Boolean}
+     */
+    function isHostOnly(hostname) {
+        return hostname.indexOf('.') === -1 || hostname.indexOf(':') !== -1 || /^[\d.]+$/.test(hostname);
+    }
+
+
+    /**
+     * Get the registrable domain of a host name, the public suffix plus one label.
+     *
+     * @private
+     * @param {String} hostname Host name such as "news.example.co.uk".
+     * @returns {String} The registrable domain, such as "example.co.uk". If the host name is an IP address,
+     * localhost, or is itself a public suffix, returns the host name.
+     */
+    function rootDomain(hostname) {
+
+        var labels, suffix;
+
+        hostname = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+        if (isHostOnly(hostname)) {
+            return hostname;
+        }
+
+        suffix = publicSuffix(hostname);
+
+        if (suffix === hostname) {
+            return hostname;
+        }
+
+        labels = hostname.split('.');
+
+        return labels.slice(labels.length - suffix.split('.').length - 1).join('.');
+    }
+
+
+    /**
+     * Information about the cookies written by this page, keyed by cookie name.
+     *
+     * <p>Each entry has the priority the cookie was written with (if any), and the list of path/domain options
+     * it was written with, together with its secure and partitioned options, so the cookie can be found again
+     * when it must be evicted or deleted.</p>
+     *
+     * @private
+     */
+    var written = {};
+
+
+    /**
+     * Remember the options a cookie was written with.
+     *
+     * @private
+     * @param {String} name Name of the cookie.
+     * @param {Object} options Options of the cookie.
+     */
+    function rememberWrite(name, options) {
+
+        var entry, i, location;
+
+        entry = written[name] = written[name] || {locations: []};
+
+        if (options.priority) {
+            entry.priority = attributeValue(priorityValues, options.priority, 'priority');
+        }
+
+        location = {path: options.path, domain: options.domain, secure: !!options.secure,
+            partitioned: !!options.partitioned};
+
+        // Writing the cookie again at the same location replaces it, with the attributes of the new write
+        for (i = 0; i < entry.locations.length; i++) {
+            if (entry.locations[i].path === location.path && entry.locations[i].domain === location.domain) {
+                entry.locations[i] = location;
+                return;
+            }
+        }
+
+        entry.locations.push(location);
+    }
+
+
+    /**
+     * Delete a cookie at one of the locations it may have been written to.
+     *
+     * <p>Browsers only let a secure cookie be replaced by a secure write, and a partitioned cookie by
+     * a partitioned write. Cookies with the __Secure- and __Host- prefixes are always secure.</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Object} store The backing store.
+     * @param {String} name Full name of the cookie.
+     * @param {Object} location The path, domain, secure and partitioned options, refer to rememberWrite().
+     */
+    function deleteAt(self, store, name, location) {
+        core.call(self, name, null, {store: store, path: location.path, domain: location.domain,
+            secure: location.secure || /^__(Secure|Host)-/i.test(name), partitioned: location.partitioned});
+    }
+
+
+    /**
+     * Numeric order of the cookie priorities, used to decide which cookies to evict first.
+     *
+     * @private
+     */
+    var priorityOrder = {
+        Low: 0,
+        Medium: 1,
+        High: 2
+    };
+
+
+    /**
+     * Get the priority of a cookie for eviction.
+     *
+     * <p>The priority option the cookie was last written with is used if known,
+     * otherwise the priority of the longest matching prefix in {@link cookie.priorities}, otherwise "Medium".</p>
+     *
+     * @private
+     * @param {Object} priorities Priorities by name prefix, refer to {@link cookie.priorities}.
+     * @param {String} name Name of the cookie.
+     * @returns {Number} The priority as a number from priorityOrder.
+     */
+    function evictionPriority(priorities, name) {
+
+        var match = '', prefix, priority = 'Medium';
+
+        if (written.hasOwnProperty(name) && written[name].priority) {
+            return priorityOrder[written[name].priority];
+        }
+
+        for (prefix in priorities) {
+            if (priorities.hasOwnProperty(prefix) && name.indexOf(prefix) === 0 && prefix.length >= match.length) {
+                match = prefix;
+                priority = attributeValue(priorityValues, priorities[prefix], 'priorities');
+            }
+        }
+
+        return priorityOrder[priority];
+    }
+
+
+    /**
+     * Get the size of a string in bytes when it is sent in an HTTP header.
+     *
+     * @private
+     * @param {String} s
+     * @returns {Number}
+     */
+    function byteSize(s) {
+        return utf8Encode(s).length;
+    }
+
+
+    /**
+     * Get the size in bytes of cookies in the Cookie request header, which has each name=value pair
+     * separated by "; ".
+     *
+     * @private
+     * @param {Object[]} cookies Array of {name, value} objects.
+     * @param {String} [prefix] Only count cookies with names that start with this string.
+     * @returns {Number}
+     */
+    function headerSize(cookies, prefix) {
+
+        var count = 0, i, size = 0;
+
+        for (i = 0; i < cookies.length; i++) {
+            if (!prefix || cookies[i].name.indexOf(prefix) === 0) {
+                size += byteSize(cookies[i].name + '=' + cookies[i].value);
+                count++;
+            }
+        }
+
+        return count ? size + (count - 1) * 2 : 0;
+    }
+
+
+    /**
+     * Check a cookie that is about to be written against the size budgets, and warn, throw,
+     * or evict other cookies as configured. Refer to {@link cookie.budgets}.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Object} store The backing store.
+     * @param {String} name Name of the cookie.
+     * @param {String[]} chunks The name=value strings that will be written.
+     * @param {String} attributes The attributes that will be written after each name=value string.
+     * @throws {String} If a budget with the throw action is exceeded.
+     */
+    function checkBudgets(self, store, name, chunks, attributes) {
+
+        var budgets = self.budgets || {},
+            header,
+            prefix,
+            projected,
+            size = 0,
+            i;
+
+        // Get the cookies as they would be after the write
+        function project() {
+
+            var cookies = parseCookies(store.read()), result = [], j;
+
+            for (j = 0; j < cookies.length; j++) {
+                if (cookies[j].name !== name && !(cookies[j].name.indexOf(name + '.') === 0 &&
+                        isChunkName(store.read(), cookies[j].name))) {
+                    result.push(cookies[j]);
+                }
+            }
+
+            for (j = 0; j < chunks.length; j++) {
+                result.push({name: j ? name + '.' + j : name, value: chunks[j]});
+            }
+
+            return result;
+        }
+
+        // Evict cookies with a lower priority than this cookie, lowest priority and largest first,
+        // until the cookies within the budget fit
+        function evict(limit, prefix) {
+
+            var candidates = [], cookies, header, j, priority;
+
+            header = store.read();
+            cookies = parseCookies(header);
+            priority = evictionPriority(self.priorities, name);
+
+            for (j = 0; j < cookies.length; j++) {
+                if (cookies[j].name !== name && (!prefix || cookies[j].name.indexOf(prefix) === 0) &&
+                        !isChunkName(header, cookies[j].name) &&
+                        evictionPriority(self.priorities, cookies[j].name) < priority) {
+                    candidates.push({
+                        name: cookies[j].name,
+                        priority: evictionPriority(self.priorities, cookies[j].name),
+                        size: byteSize(cookies[j].name + '=' + rawValue(header, cookies[j].name))
+                    });
+                }
+            }
+
+            candidates.sort(function (a, b) {
+                return a.priority - b.priority || b.size - a.size;
+            });
+
+            for (j = 0; j < candidates.length && headerSize(project(), prefix) > limit; j++) {
+                evictCookie(self, store, candidates[j].name);
+            }
+
+            return headerSize(project(), prefix) <= limit;
+        }
+
+        // Take the action for a budget that is exceeded
+        function exceeded(budget, message, prefix) {
+
+            var action = budget.action || 'warn';
+
+            if (action === 'evict' && budget !== budgets.cookie && evict(budget.limit, prefix)) {
+                return;
+            }
+
+            if (action === 'throw' || (action === 'evict' && budget === budgets.cookie)) {
+                throw message;
+            }
+
+            self.warn(message);
+        }
+
+        for (i = 0; i < chunks.length; i++) {
+            size += byteSize((i ? name + '.' + i : name) + '=' + chunks[i] + attributes);
+        }
+
+        if (budgets.cookie && size > budgets.cookie.limit) {
+            exceeded(budgets.cookie, 'Cookie ' + name + ' is ' + size + ' bytes, over the budget of ' +
+                budgets.cookie.limit + ' bytes');
+        }
+
+        for (prefix in budgets.prefixes) {
+            if (budgets.prefixes.hasOwnProperty(prefix) && name.indexOf(prefix) === 0) {
+
+                projected = headerSize(project(), prefix);
+
+                if (projected > budgets.prefixes[prefix].limit) {
+                    exceeded(budgets.prefixes[prefix], 'Cookies starting with ' + prefix + ' would be ' + projected +
+                        ' bytes after setting ' + name + ', over the budget of ' + budgets.prefixes[prefix].limit +
+                        ' bytes', prefix);
+                }
+            }
+        }
+
+        if (budgets.total) {
+
+            header = headerSize(project());
+
+            if (header > budgets.total.limit) {
+                exceeded(budgets.total, 'The Cookie header would be ' + header + ' bytes after setting ' + name +
+                    ', over the budget of ' + budgets.total.limit + ' bytes');
+            }
+        }
+    }
+
+
+    /**
+     * Delete a cookie to make room for another cookie, using the path, domain, secure and partitioned options
+     * it was written with if it was written by this page.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Object} store The backing store.
+     * @param {String} name Name of the cookie.
+     */
+    function evictCookie(self, store, name) {
+
+        var i, locations = written.hasOwnProperty(name) ? written[name].locations : [{}];
+
+        for (i = 0; i < locations.length; i++) {
+            deleteAt(self, store, name, locations[i]);
+        }
+
+        delete written[name];
+        self.warn('Cookie ' + name + ' was evicted to stay within the cookie size budget');
+    }
+
+
+    /**
+     * Check data against a schema shape, refer to {@link cookie.defineSchema}.
+     *
+     * @private
+     * @param {Object|String|Function} shape The schema shape.
+     * @param {*} data The data to check.
+     * @param {String} path Where the data is in the cookie, for the error message.
+     * @returns {String} An error message, or an empty string if the data matches.
+     */
+    function shapeError(shape, data, path) {
+
+        var error, key, optional, type;
+
+        if (typeof shape === 'function') {
+
+            error = shape(data);
+
+            if (error === true || error === undefined || error === '') {
+                return '';
+            }
+
+            return (path || 'value') + ' ' + (typeof error === 'string' ? error : 'is invalid');
+        }
+
+        if (typeof shape === 'string') {
+
+            optional = shape.charAt(shape.length - 1) === '?';
+            type = optional ? shape.substring(0, shape.length - 1) : shape;
+
+            if (data === undefined || data === null) {
+                return optional ? '' : (path || 'value') + ' is missing';
+            }
+
+            if (type === 'any' || (type === 'array' ? data instanceof Array : typeof data === type &&
+                    !(type === 'object' && data instanceof Array))) {
+                return '';
+            }
+
+            return (path || 'value') + ' should be ' + (type === 'array' || type === 'object' ? 'an ' : 'a ') + type;
+        }
+
+        if (typeof data !== 'object' || data === null || data instanceof Array) {
+            return (path || 'value') + ' should be an object';
+        }
+
+        for (key in shape) {
+            if (shape.hasOwnProperty(key)) {
+
+                error = shapeError(shape[key], data[key], path ? path + '.' + key : key);
+
+                if (error) {
+                    return error;
+                }
+            }
+        }
+
+        return '';
+    }
+
+
+    /**
+     * Get a copy of the default value of a versioned json cookie.
+     *
+     * @private
+     * @param {Object} schema The schema from {@link cookie.defineSchema}.
+     * @returns {*}
+     */
+    function schemaDefaults(schema) {
+        return schema.hasOwnProperty('defaults') ? JSON.parse(JSON.stringify(schema.defaults)) : {};
+    }
+
+
+    /**
+     * Get the own enumerable property names of an object.
+     *
+     * @private
+     * @param {Object} o
+     * @returns {String[]}
+     */
+    function objectKeys(o) {
+
+        var key, result = [];
+
+        for (key in o) {
+            if (o.hasOwnProperty(key)) {
+                result.push(key);
+            }
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Read a multi-value cookie, refer to {@link cookie.getKey}.
+     *
+     * <p>The encoding is detected from the value: json values start with "{",
+     * anything else is read as "a=1&amp;b=2".</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Name of the cookie.
+     * @param {Object} [options] Refer to {@link cookie()} for available options.
+     * @returns {Object} Object with the encoding ("json" or "query") and the data.
+     */
+    function readDictionary(self, name, options) {
+
+        var data = {}, i, index, pair, pairs, value;
+
+        options = options || {};
+        value = self(name, undefined, options);
+
+        if (value === null || value.charAt(0) === '{') {
+
+            data = self.getJson(name, options);
+
+            return {
+                encoding: value === null ? options.encoding || 'json' : 'json',
+                data: data && typeof data === 'object' && !(data instanceof Array) ? data : {}
+            };
+        }
+
+        pairs = value ? value.split('&') : [];
+
+        for (i = 0; i < pairs.length; i++) {
+
+            pair = pairs[i];
+            index = pair.indexOf('=');
+
+            try {
+                if (index === -1) {
+                    data[decodeURIComponent(pair)] = '';
+                } else {
+                    data[decodeURIComponent(pair.substring(0, index))] = decodeURIComponent(pair.substring(index + 1));
+                }
+            } catch (e) {
+                // Skip pairs that were not encoded by us
+            }
+        }
+
+        return {encoding: 'query', data: data};
+    }
+
+
+    /**
+     * Write a multi-value cookie, refer to {@link cookie.setKey}.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Name of the cookie.
+     * @param {Object} dictionary Object with the encoding and the data, from readDictionary().
+     * @param {Object} [options] Refer to {@link cookie()} for available options.
+     * @returns {String} The cookie value.
+     */
+    function writeDictionary(self, name, dictionary, options) {
+
+        var data = dictionary.data, key, pairs = [];
+
+        if (dictionary.encoding === 'json') {
+            return self.setJson(name, data, options);
+        }
+
+        for (key in data) {
+            if (data.hasOwnProperty(key)) {
+                pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(data[key] === null ? '' : data[key]));
+            }
+        }
+
+        return self(name, pairs.join('&'), options);
+    }
+
+
+    /**
+     * The consent categories and whether each has consent. Refer to {@link cookie.grant}.
+     *
+     * <p>This is shared by every cookie function, so all scripts on the page go through the same consent.</p>
+     *
+     * @private
+     */
+    var consent = {
+        necessary: true,
+        preferences: false,
+        analytics: false,
+        marketing: false
+    };
+
+
+    /**
+     * Cookies that were set with the queue option while their category did not have consent.
+     * Each entry has the cookie function (self), and the name, value and options of the cookie.
+     *
+     * @private
+     */
+    var consentQueue = [];
+
+
+    /**
+     * Determine if a consent category has consent.
+     *
+     * @private
+     * @param {String} category
+     * @returns {Boolean}
+     */
+    function hasConsent(category) {
+        return consent[category] === true;
+    }
+
+
+    /**
+     * Make sure a consent category exists.
+     *
+     * @private
+     * @param {String} category
+     * @throws {String} If the category is not known.
+     */
+    function checkCategory(category) {
+        if (!consent.hasOwnProperty(category)) {
+            throw 'Unknown cookie consent category ' + category;
+        }
+    }
+
+
+    /**
+     * Change listeners registered with {@link cookie.on}.
+     *
+     * <p>Each listener is an object with the cookie function it was registered on (self), the cookie name,
+     * the handler, the options, the last cookie string that was checked (header),
+     * and the last raw and decoded values of the cookie.</p>
+     *
+     * @private
+     */
+    var listeners = [];
+
+
+    /**
+     * Timer used to poll for changes when the browser does not support CookieStore change events.
+     *
+     * @private
+     */
+    var pollTimer = null;
+
+
+    /**
+     * Timer used to check for changes after the cookie is set on this page.
+     *
+     * @private
+     */
+    var checkTimer = null;
+
+
+    /**
+     * Get the CookieStore API if the browser supports it.
+     *
+     * @private
+     * @returns {Object|null}
+     */
+    function getCookieStore() {
+        return (typeof cookieStore !== 'undefined' && cookieStore && cookieStore.addEventListener) ? cookieStore : null;
+    }
+
+
+    /**
+     * Get the first raw value of a cookie from a cookie string.
+     *
+     * <p>If the cookie was split into chunks, the chunks are put back together.</p>
+     *
+     * @private
+     * @param {String} header Cookie string such as "a=1; b=2".
+     * @param {String} name Name of the cookie.
+     * @returns {String|null} The value as it appears in the string, or null if the cookie does not exist
+     * or some of its chunks are missing.
+     */
+    function rawValue(header, name) {
+        return assembleChunks(header, name, firstValue(parseCookies(header), name));
+    }
+
+
+    /**
+     * Put the chunks of a cookie back together, if it was split into chunks.
+     *
+     * @private
+     * @param {String} header Cookie string such as "a=1; b=2".
+     * @param {String} name Name of the cookie.
+     * @param {String|null} value The raw value of the cookie, which may be the first chunk.
+     * @returns {String|null} The whole raw value, or null if some of its chunks are missing.
+     */
+    function assembleChunks(header, name, value) {
+
+        var count = chunkCount(value), i, part;
+
+        value = value === null ? null : value.replace(chunkHeader, '');
+
+        if (count > 1) {
+
+            for (i = 1; i < count; i++) {
+
+                part = firstValue(parseCookies(header), name + '.' + i);
+
+                if (part === null) {
+                    return null;
+                }
+
+                value += part;
+            }
+        }
+
+        return value;
+    }
+
+
+    /**
+     * Get the raw value of a cookie, choosing between cookies with the same name with a duplicate policy.
+     *
+     * @private
+     * @param {Object} store The backing store.
+     * @param {String} name Name of the cookie.
+     * @param {String} policy "first", "last", "longest-path" or "throw", refer to {@link cookie.duplicatePolicy}.
+     * @returns {String|null} The raw value, or null if the cookie does not exist or some of its chunks are missing.
+     * @throws {String} If the policy is "throw" and there is more than one cookie with the name.
+     */
+    function selectValue(store, name, policy) {
+
+        var cookies, entries, header, i, longest = null, values = [];
+
+        header = store.read();
+        cookies = parseCookies(header);
+
+        for (i = 0; i < cookies.length; i++) {
+            if (cookies[i].name === name) {
+                values.push(cookies[i].value);
+            }
+        }
+
+        if (values.length < 2 || policy === 'first') {
+            return assembleChunks(header, name, values.length ? values[0] : null);
+        }
+
+        if (policy === 'last') {
+            return assembleChunks(header, name, values[values.length - 1]);
+        }
+
+        if (policy === 'throw') {
+            throw 'Cookie ' + name + ' has ' + values.length + ' values, probably set with different paths or ' +
+                'domains. Use getAllValues() or duplicates() to find them.';
+        }
+
+        if (policy !== 'longest-path') {
+            throw 'Invalid cookie option duplicates: ' + policy;
+        }
+
+        // Browsers list cookies with longer paths first (RFC 6265 section 5.4), so use the first value,
+        // unless the store can tell the paths
+        if (!store.entries) {
+            return assembleChunks(header, name, values[0]);
+        }
+
+        entries = store.entries();
+
+        for (i = 0; i < entries.length; i++) {
+            if (entries[i].name === name &&
+                    (!longest || (entries[i].path || '/').length > (longest.path || '/').length)) {
+                longest = entries[i];
+            }
+        }
+
+        return assembleChunks(header, name, longest ? longest.value : values[0]);
+    }
+
+
+    /**
+     * Units of the human-readable expires option, in milliseconds.
+     *
+     * @private
+     */
+    var expiresUnits = {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000
+    };
+
+
+    /**
+     * Get the current time of a store, so test jars can control the time.
+     *
+     * @private
+     * @param {Object} store Backing store.
+     * @returns {Number} Time in milliseconds.
+     */
+    function storeTime(store) {
+        return store.now ? store.now() : new Date().getTime();
+    }
+
+
+    /**
+     * Convert a string expires option to a date.
+     *
+     * @private
+     * @param {String} expires A number followed by a unit, such as "30m" or "-1d", a number of days
+     * such as "30", or a date string such as "2030-01-01T00:00:00Z".
+     * @param {Number} time The current time in milliseconds.
+     * @returns {Date}
+     * @throws {String} If the string is not a duration or a date.
+     */
+    function parseExpires(expires, time) {
+
+        var date, match = /^\s*(-?\d+(?:\.\d+)?)\s*([smhdw]?)\s*$/i.exec(expires);
+
+        // A number without a unit is a number of days, the same as a numeric expires option
+        if (match) {
+            return new Date(time + parseFloat(match[1]) * expiresUnits[(match[2] || 'd').toLowerCase()]);
+        }
+
+        date = new Date(expires);
+
+        if (isNaN(date.getTime())) {
+            throw 'Invalid cookie option expires: ' + expires;
+        }
+
+        return date;
+    }
+
+
+    /**
+     * Get the time a cookie will expire, from the expires and maxAge options.
+     *
+     * @private
+     * @param {Object} options Refer to {@link cookie()}.
+     * @param {Number} time The current time in milliseconds.
+     * @returns {Number|null} Time in milliseconds, or null for a session cookie.
+     */
+    function expiryTime(options, time) {
+
+        // Max-Age takes precedence over Expires in the browser
+        if (typeof options.maxAge === 'number') {
+            return time + options.maxAge * 1000;
+        }
+
+        if (typeof options.expires === 'number') {
+            return time + options.expires * expiresUnits.d;
+        }
+
+        if (options.expires && options.expires.getTime) {
+            return options.expires.getTime();
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Determine if a write deletes the cookie: a null value (which sets expires to -1), a negative expires,
+     * an expires date that has passed, or a maxAge of zero or less.
+     *
+     * @private
+     * @param {Object} options Refer to {@link cookie()}.
+     * @param {Number} time The current time in milliseconds.
+     * @returns {Boolean}
+     */
+    function isDeletion(options, time) {
+
+        var expires = typeof options.expires === 'string' ? parseExpires(options.expires, time) : options.expires;
+
+        if (expires < 0) {
+            return true;
+        }
+
+        // Max-Age takes precedence over Expires in the browser
+        if (typeof options.maxAge === 'number') {
+            return Math.round(options.maxAge) <= 0;
+        }
+
+        return !!(expires && expires.getTime) && expires.getTime() <= time;
+    }
+
+
+    /**
+     * Add the metadata envelope to a value: the time the cookie was set, and the time it expires,
+     * in seconds written in base 36. A session cookie has an empty expiry.
+     *
+     * @private
+     * @param {String} value
+     * @param {Number} created Time in milliseconds.
+     * @param {Number|null} expires Time in milliseconds, or null for a session cookie.
+     * @returns {String} The value with a prefix such as "[meta:t2p3kw.t2rxo0]".
+     */
+    function metaAdd(value, created, expires) {
+        return scramblePrefixAdd('meta:' + Math.floor(created / 1000).toString(36) + '.' +
+            (expires === null ? '' : Math.floor(expires / 1000).toString(36)), value);
+    }
+
+
+    /**
+     * Read the metadata envelope of a value.
+     *
+     * @private
+     * @param {String} value
+     * @returns {Object|null} Object with value (without the envelope), created and expires (milliseconds,
+     * expires is null for a session cookie), or null if the value does not have an envelope.
+     */
+    function metaRead(value) {
+
+        var match = /^meta:([0-9a-z]+)\.([0-9a-z]*)$/.exec(scramblePrefixGet(value));
+
+        if (!match) {
+            return null;
+        }
+
+        return {
+            value: scramblePrefixRemove(value),
+            created: parseInt(match[1], 36) * 1000,
+            expires: match[2] ? parseInt(match[2], 36) * 1000 : null
+        };
+    }
+
+
+    /**
+     * Remove the browser encoding, verify the signature, unscramble and decompress the raw value of a cookie,
+     * as specified by the options. The metadata envelope is left on the value.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Full name of the cookie.
+     * @param {String} encoded The raw value.
+     * @param {Object} options Refer to {@link cookie()}.
+     * @param {Object} [found] If specified, the scramble algorithms of the value are stored in its scramble
+     * property, refer to pipelineName(), the verified signature in its signature property, and the compression
+     * algorithm in its compress property.
+     * @returns {String|null} The value, or null if the signature is wrong or the compressed data is corrupt.
+     */
+    function decodeLayers(self, name, encoded, options, found) {
+
+        // Get the cookie value and remove browser encoding
+        var signed, value = getCodec(self, options.codec).decode(encoded);
+
+        // Check the signature, and remove it from the value
+        if (options.verify) {
+
+            signed = value;
+            value = verifyValue(name, value, signingSecrets(options.verify, self.secrets), options.maxSignatureAge);
+
+            if (found && value !== null) {
+                found.signature = signed.substring(value.length + 1);
+            }
+        }
+
+        // Check if this is a scrambled cookie
+        if (options.scramble && value !== null) {
+
+            if (found) {
+                found.scramble = pipelineName(unscramblers(self, value));
+            }
+
+            value = unscramble(self, value);
+        }
+
+        // Check if this is a compressed cookie, which is detected automatically
+        if (value !== null) {
+
+            if (found) {
+                found.compress = decompressor(self.compressors, value);
+            }
+
+            value = decompress(self.compressors, value);
+        }
+
+        return value;
+    }
+
+
+    /**
+     * Decode the raw value of a cookie: remove the browser encoding, verify the signature,
+     * unscramble, decompress and remove the metadata envelope, as specified by the options.
+     *
+     * <p>A cookie with a metadata envelope is treated as missing once its expiry time has passed, even if
+     * the browser still has it, for example because the clock of the computer was changed.</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Full name of the cookie.
+     * @param {String} encoded The raw value.
+     * @param {Object} options Refer to {@link cookie()}.
+     * @param {Object} [found] Refer to decodeLayers(). The metadata envelope is also stored in its meta property.
+     * @returns {String|null} The value, or null if the signature is wrong, the compressed data is corrupt,
+     * or the envelope says the cookie has expired.
+     */
+    function decodeCookie(self, name, encoded, options, found) {
+
+        var value = decodeLayers(self, name, encoded, options, found);
+
+        if (found) {
+            found.meta = value === null ? null : metaRead(value);
+        }
+
+        return metaRemove(self, value, options);
+    }
+
+
+    /**
+     * Remove the metadata envelope from a decoded value, which is detected automatically.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String|null} value The value after it was unscrambled and decompressed.
+     * @param {Object} options Refer to {@link cookie()}.
+     * @returns {String|null} The value without the envelope, or null if the envelope says the cookie has expired.
+     */
+    function metaRemove(self, value, options) {
+
+        var meta = value === null ? null : metaRead(value);
+
+        if (meta) {
+            value = (meta.expires !== null && meta.expires <= storeTime(storeFor(self, options))) ? null : meta.value;
+        }
+
+        return value;
+    }
+
+
+    /**
+     * Find the first value of a cookie in the parsed cookies.
+     *
+     * @private
+     * @param {Object[]} cookies Parsed cookies from parseCookies().
+     * @param {String} name Name of the cookie.
+     * @returns {String|null} The value as it appears in the cookie string, or null if the cookie does not exist.
+     */
+    function firstValue(cookies, name) {
+
+        var i;
+
+        for (i = 0; i < cookies.length; i++) {
+            if (cookies[i].name === name) {
+                return cookies[i].value;
+            }
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Regular expression that matches the header at the beginning of the first chunk of a cookie
+     * that was split into chunks, such as "$chunks.3$".
+     *
+     * <p>The header only contains characters that are allowed in cookie values without escaping.
+     * The dollar signs are always escaped by the codecs except raw, and a raw value that begins like a header
+     * is written with a header for one chunk, so a value can never be mistaken for a chunk header.</p>
+     *
+     * @private
+     */
+    var chunkHeader = /^\$chunks\.(\d+)\$/;
+
+
+    /**
+     * Get the number of chunks from the raw value of the first chunk of a cookie.
+     *
+     * @private
+     * @param {String|null} value The raw cookie value.
+     * @returns {Number} The number of chunks, or 1 if the cookie was not split into chunks.
+     */
+    function chunkCount(value) {
+
+        var match = value ? value.match(chunkHeader) : null;
+
+        return match ? parseInt(match[1], 10) : 1;
+    }
+
+
+    /**
+     * Determine if a cookie name is one of the additional chunks of a cookie that was split into chunks,
+     * such as "mycookie.2".
+     *
+     * @private
+     * @param {String} header Cookie string such as "a=1; b=2".
+     * @param {String} name Name of the cookie.
+     * @returns {Boolean}
+     */
+    function isChunkName(header, name) {
+
+        var match = name.match(/^(.+)\.(\d+)$/);
+
+        return !!match && chunkCount(firstValue(parseCookies(header), match[1])) > parseInt(match[2], 10);
+    }
+
+
+    /**
+     * Split an encoded cookie value into chunks, without splitting any %XX escape sequences.
+     *
+     * @private
+     * @param {String} encoded The encoded cookie value.
+     * @param {Number} size The maximum length of each chunk.
+     * @returns {String[]}
+     */
+    function splitChunks(encoded, size) {
+
+        var chunks = [], end, start = 0;
+
+        while (start < encoded.length) {
+
+            end = Math.min(start + size, encoded.length);
+
+            if (end < encoded.length) {
+                if (encoded.charAt(end - 1) === '%') {
+                    end -= 1;
+                } else if (encoded.charAt(end - 2) === '%') {
+                    end -= 2;
+                }
+            }
+
+            chunks.push(encoded.substring(start, end));
+            start = end;
+        }
+
+        return chunks;
+    }
+
+
+    /**
+     * Get the decoded value of a cookie for a change event, the same way get() or getJson() would.
+     *
+     * @private
+     * @param {Object} listener
+     * @returns {String|Object}
+     */
+    function listenerValue(listener) {
+        return listener.options.json ?
+            listener.self.getJson(listener.name, listener.options) :
+            listener.self.get(listener.name, listener.options);
+    }
+
+
+    /**
+     * Compare the cookies against the values last seen by each listener, and call the handlers of cookies
+     * that have changed.
+     *
+     * <p>The cookie string is compared first, so when nothing has changed this does not parse anything.</p>
+     *
+     * @private
+     */
+    function checkChanges() {
+
+        var changed = [], header, i, listener, newValue, raw;
+
+        checkTimer = null;
+
+        for (i = 0; i < listeners.length; i++) {
+
+            listener = listeners[i];
+            header = storeFor(listener.self, listener.options).read() || '';
+
+            if (header === listener.header) {
+                continue;
+            }
+
+            listener.header = header;
+            raw = rawValue(header, listener.rawName);
+
+            if (raw === listener.raw) {
+                continue;
+            }
+
+            newValue = listenerValue(listener);
+
+            changed.push({
+                handler: listener.handler,
+                event: {
+                    type: 'change',
+                    name: listener.name,
+                    oldValue: listener.value,
+                    newValue: newValue
+                }
+            });
+
+            listener.raw = raw;
+            listener.value = newValue;
+        }
+
+        // Call the handlers after all listeners are up to date,
+        // in case a handler sets another cookie or removes a listener
+        for (i = 0; i < changed.length; i++) {
+            changed[i].handler(changed[i].event);
+        }
+    }
+
+
+    /**
+     * Check for changes as soon as possible, but not synchronously,
+     * so handlers are always called asynchronously and several changes in a row are checked once.
+     *
+     * @private
+     */
+    function scheduleCheck() {
+        if (!checkTimer && listeners.length) {
+            checkTimer = setTimeout(checkChanges, 0);
+        }
+    }
+
+
+    /**
+     * Start or stop watching for changes, depending on whether there are any listeners.
+     *
+     * @private
+     * @param {Number} interval Polling interval in milliseconds, used if CookieStore is not supported.
+     */
+    function updateWatch(interval) {
+
+        var store = getCookieStore(),
+            watching = listeners.length > 0;
+
+        if (store) {
+
+            // Adding the same listener twice has no effect, so it is safe to call this every time
+            if (watching) {
+                store.addEventListener('change', scheduleCheck);
+            } else {
+                store.removeEventListener('change', scheduleCheck);
+            }
+
+        } else if (watching && !pollTimer) {
+
+            pollTimer = setInterval(function () {
+
+                // Background tabs do not need to know right away, the next poll after the page is shown will do
+                if (typeof document === 'undefined' || !document.hidden) {
+                    checkChanges();
+                }
+
+            }, interval);
+
+        } else if (!watching && pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    }
+
+
+    /**
+     * The batch that is running, refer to {@link cookie.batch}, or null.
+     *
+     * <p>While a batch is running, the core function remembers the previous raw value of each cookie it sets,
+     * and reads each cookie back after writing it.</p>
+     *
+     * @private
+     */
+    var activeBatch = null;
+
+
+    /**
+     * Thrown by the core function to stop a batch when a write fails verification.
+     *
+     * @private
+     */
+    var batchFailure = {};
+
+
+    /**
+     * Create the result of a verified write.
+     *
+     * @private
+     * @param {String} name Name of the cookie.
+     * @param {String|null} value The value that was written, as returned by {@link cookie.set}.
+     * @param {String} reason Empty if the write worked, otherwise the likely cause: 'consent', 'error', 'disabled',
+     * 'secure', 'domain', 'path', 'sameSite', 'prefix', 'size' or 'unknown'.
+     * @param {String} message Explanation of the reason.
+     * @returns {Object}
+     */
+    function writeResult(name, value, reason, message) {
+        return {ok: !reason, name: name, value: value, reason: reason, error: message};
+    }
+
+
+    /**
+     * Split a URL into the parts of window.location that matter for cookies.
+     *
+     * @private
+     * @param {String} url Absolute URL such as "https://www.example.com/shop/cart".
+     * @returns {Object|null} Object with protocol, hostname and pathname properties, or null if the URL
+     * is not an absolute http or https URL.
+     */
+    function urlLocation(url) {
+
+        var match = /^(https?:)\/\/(\[[^\]]+\]|[^\/:?#]+)(?::\d+)?([^?#]*)/i.exec(url);
+
+        return match ? {protocol: match[1].toLowerCase(), hostname: match[2], pathname: match[3] || '/'} : null;
+    }
+
+
+    /**
+     * Find the likely cause of a cookie that was written but cannot be read back.
+     *
+     * <p>If the store explains why it rejected the cookie, as {@link cookie.testJar} does, that is used.
+     * Otherwise the options are compared with the current page: the location option, the URL of the store
+     * if it has a url() function like the test jar, or the location of the browser for document.cookie.</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Object} store Backing store.
+     * @param {String} name Full name of the cookie.
+     * @param {String} encoded The encoded value that was written.
+     * @param {Object} options Refer to {@link cookie()}.
+     * @returns {String[]} The reason and the message.
+     */
+    function writeFailure(self, store, name, encoded, options) {
+
+        var domain, hostname, i, page, writes;
+
+        if (store.writes) {
+
+            writes = store.writes();
+
+            for (i = writes.length - 1; i >= 0; i--) {
+                if (writes[i].name === name) {
+
+                    if (writes[i].rejected) {
+                        return [writes[i].cause || 'unknown', 'The store rejected the cookie: ' + writes[i].rejected];
+                    }
+
+                    break;
+                }
+            }
+        }
+
+        if (store === documentStore && !probeCookies()) {
+            return ['disabled', 'The browser does not store cookies'];
+        }
+
+        if (/^__(Secure|Host)-/i.test(name) && !options.secure) {
+            return ['prefix', 'Cookies with the __Secure- or __Host- prefix must be secure'];
+        }
+
+        if (String(options.sameSite).toLowerCase() === 'none' && !options.secure) {
+            return ['sameSite', 'Cookies with SameSite=None must be secure'];
+        }
+
+        // Values larger than maxCookieSize are split into chunks, so this only happens if it was raised
+        if (byteSize(name + '=' + encoded) > 4096 && name.length + 1 + encoded.length <= self.maxCookieSize) {
+            return ['size', 'Browsers do not store cookies larger than 4096 bytes'];
+        }
+
+        if (options.location) {
+            page = options.location;
+        } else if (typeof store.url === 'function') {
+            page = urlLocation(store.url());
+        } else if (store === documentStore && typeof location !== 'undefined') {
+            page = location;
+        }
+
+        if (page) {
+
+            hostname = page.hostname.toLowerCase();
+
+            if (options.secure && page.protocol === 'http:' && hostname !== 'localhost') {
+                return ['secure', 'Secure cookies cannot be set from a page that is not https'];
+            }
+
+            domain = typeof options.domain === 'string' ? options.domain.toLowerCase().replace(/^\./, '') : '';
+
+            if (domain && (!domainMatches(hostname, domain) ||
+                    (domain !== hostname && publicSuffix(domain) === domain))) {
+                return ['domain', 'Cookies for the domain ' + domain + ' cannot be set from ' + hostname];
+            }
+
+            if (typeof options.path === 'string' && options.path && !pathMatches(options.path, page.pathname)) {
+                return ['path', 'The cookie was set for the path ' + options.path +
+                    ', which does not include this page, so it cannot be read back'];
+            }
+
+            if (parseCookies(store.read()).length >= 180) {
+                return ['size', 'There are too many cookies for this domain, so the browser removed some'];
+            }
+        }
+
+        return ['unknown', 'The cookie could not be read back after it was written'];
+    }
+
+
+    /**
+     * Read a cookie back after it was written, to check that the store accepted it.
+     *
+     * <p>Every cookie with the name is compared, because another cookie with the same name and a different path
+     * or domain can be listed first.</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {Object} store Backing store.
+     * @param {String} name Full name of the cookie.
+     * @param {String} value The value returned by the core function.
+     * @param {Object} options Refer to {@link cookie()}.
+     * @returns {Object} Result, refer to writeResult().
+     */
+    function verifyWrite(self, store, name, value, options) {
+
+        var cookies, encoded, failure, header, i;
+
+        encoded = getCodec(self, options.codec).encode(String(value));
+        header = store.read();
+        cookies = parseCookies(header);
+
+        for (i = 0; i < cookies.length; i++) {
+            if (cookies[i].name === name && assembleChunks(header, name, cookies[i].value) === encoded) {
+                return writeResult(name, value, '', '');
+            }
+        }
+
+        failure = writeFailure(self, store, name, encoded, options);
+
+        return writeResult(name, value, failure[0], failure[1]);
+    }
+
+
+    /**
+     * Put the cookies that were written during a batch back the way they were, in reverse order.
+     *
+     * <p>Browsers do not tell scripts the attributes of a cookie, so the previous raw value is written back
+     * with the path, domain, expiry and other attributes of the write that is undone.</p>
+     *
+     * @private
+     * @param {Object[]} snapshots The cookies that were written, with their previous raw value.
+     */
+    function rollback(snapshots) {
+
+        var i, options, snapshot;
+
+        for (i = snapshots.length - 1; i >= 0; i--) {
+
+            snapshot = snapshots[i];
+            options = extend({}, snapshot.options, {store: snapshot.store});
+
+            if (snapshot.raw === null) {
+                core.call(snapshot.self, snapshot.name, null, options);
+            } else {
+                // The raw value is already encoded, scrambled and signed
+                core.call(snapshot.self, snapshot.name, snapshot.raw, extend(options,
+                    {codec: 'raw', compress: false, scramble: false, sign: false, meta: false}));
+            }
+        }
+    }
+
+
+    /**
+     * Write a cookie again with the current scramble algorithms, for the upgrade option.
+     *
+     * <p>Nothing is written if the cookie already uses the algorithms, or if one of the algorithms
+     * is asynchronous. Cookies without a scramble prefix, written with {@link cookie.scramblerLegacy},
+     * are also written again.</p>
+     *
+     * <p>The expiry time, signature and compression of the cookie are kept, refer to rewriteArguments().</p>
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Full name of the cookie.
+     * @param {String} value The unscrambled value, without the metadata envelope.
+     * @param {Object} options The options the cookie was read with.
+     * @param {Object} found The scramble algorithms, signature and metadata envelope of the cookie,
+     * refer to decodeCookie().
+     */
+    function upgrade(self, name, value, options, found) {
+
+        var i, stages = scramblePipeline(self, options.scramble), rewrite;
+
+        for (i = 0; i < stages.length; i++) {
+            if (stages[i].algorithm.async) {
+                return;
+            }
+        }
+
+        if (pipelineName(stages) === found.scramble) {
+            return;
+        }
+
+        rewrite = rewriteArguments(value, extend({}, options, {scramble: pipelineName(stages)}), found);
+
+        if (rewrite) {
+            core.call(self, name, rewrite.value, rewrite.options);
+        }
+    }
+
+
+    /**
+     * Get the value and options to write a cookie again with, keeping what the browser does not send back.
+     *
+     * <p>Browsers do not send the expiry time of a cookie, so it is taken from the metadata envelope,
+     * which is kept with its original times. Without an envelope the cookie is only written again if the
+     * options it was read with have an expires or maxAge option. If the value was verified, it is signed
+     * again with the first secret of the verify option and the original signing time.
+     * A compressed value is compressed again with the same algorithm.</p>
+     *
+     * @private
+     * @param {String} value The new value, without the metadata envelope.
+     * @param {Object} options The options the cookie was read with.
+     * @param {Object} found Refer to decodeCookie().
+     * @returns {Object|null} Object with the value and options to write, or null if the expiry time is not known.
+     */
+    function rewriteArguments(value, options, found) {
+
+        var index, rewrite = extend({}, options, {upgrade: false});
+
+        if (found.meta) {
+            value = metaAdd(value, found.meta.created, found.meta.expires);
+            rewrite.meta = false;
+            rewrite.expires = found.meta.expires === null ? null : new Date(found.meta.expires);
+            rewrite.maxAge = null;
+        } else if ((options.expires === undefined || options.expires === null) &&
+                (options.maxAge === undefined || options.maxAge === null)) {
+            return null;
+        }
+
+        if (options.verify) {
+            index = found.signature.indexOf('.');
+            rewrite.sign = options.verify;
+            rewrite.signTimestamp = index === -1 ? false : parseInt(found.signature.substring(0, index), 10);
+        }
+
+        if (found.compress) {
+            rewrite.compress = found.compress;
+        }
+
+        return {value: value, options: rewrite};
+    }
+
+
+    /**
+     * Read a cookie without running the interceptor hooks, to find out how it was written.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Full name of the cookie.
+     * @param {Object} options The options the cookie is read with, including the defaults.
+     * @returns {Object|null} Refer to decodeCookie(), or null if the cookie does not exist or cannot be decoded.
+     */
+    function readFound(self, name, options) {
+
+        var encoded = selectValue(storeFor(self, options), name, options.duplicates || self.duplicatePolicy),
+            found = {};
+
+        return encoded !== null && decodeCookie(self, name, encoded, options, found) !== null ? found : null;
+    }
+
+
+    /**
+     * True while interceptor hooks are running, so cookies that the hooks read or write,
+     * and the cookies that the operation itself reads or writes, do not run the hooks again.
+     *
+     * @private
+     */
+    var intercepting = false;
+
+
+    /**
+     * Run a get, set or delete through the interceptor hooks, refer to {@link cookie.interceptors}.
+     *
+     * @private
+     * @param {Function} self The cookie function.
+     * @param {String} name Full name of the cookie.
+     * @param {String} [value] Value of the cookie.
+     * @param {Object} options Options for the cookie.
+     * @returns {String|null} The result of the core function, or null if a hook cancelled the operation.
+     */
+    function intercept(self, name, value, options) {
+
+        var before, hooks = self.interceptors.slice(0), i, operation, result, type = 'set';
+
+        // Setting a cookie so it expires right away deletes it, the same as a null value
+        if (typeof value === 'undefined') {
+            type = 'get';
+        } else if (value === null || isDeletion(options, storeTime(storeFor(self, options)))) {
+            type = 'delete';
+        }
+
+        operation = {
+            type: type,
+            name: name,
+            value: value,
+            options: options
+        };
+
+        before = operation.type === 'set' ? 'beforeSet' : 'beforeDelete';
+        intercepting = true;
+
+        try {
+
+            if (operation.type !== 'get') {
+                for (i = 0; i < hooks.length; i++) {
+                    if (hooks[i][before] && hooks[i][before].call(self, operation) === false) {
+                        return null;
+                    }
+                }
+            }
+
+            result = core.call(self, operation.name, operation.value, operation.options);
+
+            if (operation.type === 'set') {
+
+                operation.result = result;
+
+                for (i = 0; i < hooks.length; i++) {
+                    if (hooks[i].afterSet) {
+                        hooks[i].afterSet.call(self, operation);
+                    }
+                }
+
+            } else if (operation.type === 'get') {
+
+                operation.value = result;
+
+                for (i = 0; i < hooks.length; i++) {
+                    if (hooks[i].afterGet) {
+                        hooks[i].afterGet.call(self, operation);
+                    }
+                }
+
+                result = operation.value;
+            }
+
+        } finally {
+            intercepting = false;
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Get, set, or delete a cookie. This does the work of {@link cookie()} and of the instances created
+     * with {@link cookie.create}.
+     *
+     * @private
+     * @this {Function} The cookie function or instance, with the registries and settings to use.
+     * @param {String} name Full name of the cookie, including the instance prefix.
+     * @param {String} [value] Value of the cookie.
+     * @param {Object} [options] Options for the cookie, including the instance defaults.
+     */
+    var core = function (name, value, options) {
+
+        // The following comment block should appear in the final minified code
+
+        /*! BEGIN LICENSE Cookie plugin
+         * This code was based on:
+         * Cookie plugin
+         * Copyright (c) 2006 Klaus Hartl (stilbuero.de)
+         * Dual licensed under the MIT and GPL licenses:
+         * http://www.opensource.org/licenses/mit-license.php
+         * http://www.gnu.org/licenses/gpl.html
+         */
+
+        var
+            attributes,
+            chunks,
+            cookieValue,
+            date,
+            domain,
+            encoded,
+            expires = '',
+            found,
+            hostname,
+            i,
+            maxAge = '',
+            partitioned = '',
+            path,
+            previousChunks,
+            priority = '',
+            sameSite = '',
+            secure,
+            self,
+            store,
+            time;
+
+        // This is called with the cookie function or instance as "this".
+        // Set the self variable so we can access variables that we'll attach to that function.
+        self = this;
+
+        options = options || {};
+
+        if (self.interceptors.length && !intercepting) {
+            return intercept(self, name, value, options);
+        }
+
+        store = storeFor(self, options);
+
+        if (typeof value !== 'undefined') {
+
+            // A name and a value was given, so we will set the cookie
+            checkName(name);
+
+            // If value is null, that means we will delete the cookie
+            if (value === null) {
+                value = '';
+                options.expires = -1;
+            }
+
+            time = storeTime(store);
+
+            // Convert human-readable expires values such as "30m" or an ISO date to a date object
+            if (typeof options.expires === 'string') {
+                options.expires = parseExpires(options.expires, time);
+            }
+
+            // Cookies can only be set if their consent category has consent, but can always be deleted
+            if (!isDeletion(options, time) && !hasConsent(self.categoryOf(name))) {
+
+                if (options.queue) {
+                    consentQueue.push({self: self, name: name, value: value, options: options});
+                }
+
+                if (activeBatch) {
+                    activeBatch.results.push(writeResult(name, null, 'consent',
+                        'The consent category of the cookie does not have consent'));
+                    throw batchFailure;
+                }
+
+                return null;
+            }
+
+            // Remember the previous value, so the batch can be rolled back
+            if (activeBatch) {
+                activeBatch.snapshots.push({self: self, store: store, name: name,
+                    raw: rawValue(store.read(), name), options: extend({}, options)});
+            }
+
+            // Add the metadata envelope first, so it is protected by the scramble and sign options
+            if (options.meta && !(options.expires < 0)) {
+                value = metaAdd(value, time, expiryTime(options, time));
+            }
+
+            // Check if the cookie value needs to be compressed.
+            // Compression is done first, since scrambled or signed values do not compress well.
+            if (options.compress) {
+                value = compress(self.compressors, self.compressorDefault, value, options.compress);
+            }
+
+            // Check if the cookie value needs to be scrambled.
+            // The default algorithm is used if scramble is "true" or a value that is not a known algorithm.
+            if (options.scramble) {
+                value = scramble(scramblePipeline(self, options.scramble), value);
+            }
+
+            // Check if the cookie value needs to be signed
+            if (options.sign) {
+                value = signValue(name, value, signingSecrets(options.sign, self.secrets)[0], options.signTimestamp);
+            }
+
+            // Check if the expiration is a number or a date object
+            if (options.expires && (typeof options.expires === 'number' || options.expires.toUTCString)) {
+
+                if (typeof options.expires === 'number') {
+
+                    // Expires is a number - convert number of days to a date object.
+                    // Use the clock of the store if it has one, so test jars can control the time.
+                    date = new Date(time + (options.expires * 24 * 60 * 60 * 1000));
+
+                } else {
+
+                    // Expires is a date object - use it as the expiration
+                    date = options.expires;
+                }
+
+                // Set the expires value to use when creating the cookie
+                expires = '; expires=' + date.toUTCString();
+            }
+
+            domain = options.domain;
+
+            if (domain === 'auto') {
+
+                // Use the registrable domain of the current host, so the cookie is shared with all subdomains.
+                // Hosts that cannot have a domain attribute, or that are public suffixes, get a host-only cookie.
+                hostname = (options.location || window.location).hostname;
+                domain = rootDomain(hostname);
+
+                if (isHostOnly(domain) || publicSuffix(domain) === domain) {
+                    domain = '';
+                }
+
+            } else if (domain && self.isPublicSuffix(domain)) {
+
+                // The browser would silently ignore a cookie for a public suffix such as "co.uk" or "github.io"
+                throw 'Cookie ' + name + ' cannot be set for the public suffix ' + domain;
+            }
+
+            domain = domain ? '; domain=' + domain : '';
+            secure = options.secure ? '; secure' : '';
+
+            // Set the cookie path.
+            //
+            // Note there is a bug in IE, where document.cookie will not return a cookie
+            // if it was set with a path attribute containing a filename.
+            // Internet Explorer Cookie Internals (FAQ)
+            // http://blogs.msdn.com/b/ieinternals/archive/2009/08/20/wininet-ie-cookie-internals-faq.aspx
+            //
+            // The default path with be "/" if you don't specify options.path
+            //
+            // If you set options.path to an empty string, then we will clear the path for the cookie,
+            // and the path will default to the directory of the current page.
+            //
+            // To set a path manually you can set options.path, but you must be sure it does not
+            // contain a filename like /path/default.htm
+            //
+            // Note: due to the bug in IE, there does not appear to be a way to specify a cookie
+            // that is set only for a single page, you can only set a cookie for all urls within
+            // a directory (and sub-directories below).
+
+            if (options.path === undefined) {
+
+                // Default to '/' if path is not specified so the cookie will apply to every page in the domain.
+                path = '; path=/';
+
+            } else if (options.path === '') {
+
+                // If path was specified as an empty string, do not set a path,
+                // so the cookie will apply only  to the current path
+                path = '';
+
+            } else {
+                // If a path was specified, set it
+                path = '; path=' + options.path;
+            }
+
+            // Max-Age takes precedence over Expires in the browser, so when the cookie is being expired
+            // we must also zero out max-age, otherwise the cookie would stay alive
+            if (options.maxAge !== undefined && options.maxAge !== null) {
+
+                if (typeof options.maxAge !== 'number' || isNaN(options.maxAge)) {
+                    throw 'Invalid cookie option maxAge: ' + options.maxAge;
+                }
+
+                maxAge = '; max-age=' + (options.expires < 0 ? 0 : Math.round(options.maxAge));
+            }
+
+            if (options.sameSite) {
+
+                sameSite = attributeValue(sameSiteValues, options.sameSite, 'sameSite');
+
+                // Browsers reject SameSite=None cookies that are not also marked secure
+                if (sameSite === 'None' && !options.secure) {
+                    throw 'Cookie ' + name + ' uses sameSite None and must also be secure';
+                }
+
+                sameSite = '; samesite=' + sameSite;
+            }
+
+            if (options.partitioned) {
+
+                // Partitioned (CHIPS) cookies are only accepted when they are secure
+                if (!options.secure) {
+                    throw 'Cookie ' + name + ' is partitioned and must also be secure';
+                }
+
+                partitioned = '; partitioned';
+            }
+
+            if (options.priority) {
+                priority = '; priority=' + attributeValue(priorityValues, options.priority, 'priority');
+            }
+
+            // Enforce the cookie name prefix rules, because the browser would silently ignore the write.
+            // Browsers match the prefixes without regard to case.
+            // Refer to https://datatracker.ietf.org/doc/html/draft-ietf-httpbis-rfc6265bis#section-4.1.3
+            if (/^__Secure-/i.test(name) && !options.secure) {
+                throw 'Cookie ' + name + ' has the __Secure- prefix and must be secure';
+            }
+
+            if (/^__Host-/i.test(name)) {
+
+                if (!options.secure) {
+                    throw 'Cookie ' + name + ' has the __Host- prefix and must be secure';
+                }
+
+                if (domain) {
+                    throw 'Cookie ' + name + ' has the __Host- prefix and must not have a domain';
+                }
+
+                if (path !== '; path=/') {
+                    throw 'Cookie ' + name + ' has the __Host- prefix and must have path /';
+                }
+            }
+
+            encoded = getCodec(self, options.codec).encode(String(value));
+
+            // Cookies cannot be larger than about 4KB, and the browser silently ignores larger cookies,
+            // so large values are split across several cookies named "name", "name.1", "name.2" and so on.
+            // The first chunk begins with a header with the number of chunks, like "$chunks.3$".
+            // All chunks are written with the same attributes, so they are always sent together.
+            chunks = [encoded];
+
+            if (name.length + 1 + encoded.length > self.maxCookieSize) {
+                chunks = splitChunks(encoded, self.maxCookieSize - name.length - 16);
+            }
+
+            if (chunks.length > 1 || chunkHeader.test(encoded)) {
+                chunks[0] = '$chunks.' + chunks.length + '$' + chunks[0];
+            }
+
+            attributes = [expires, maxAge, path, domain, secure, sameSite, partitioned, priority].join('');
+
+            // Check the size budgets, unless the cookie is being deleted
+            if (!(options.expires < 0)) {
+                checkBudgets(self, store, name, chunks, attributes);
+                rememberWrite(name, options);
+            }
+
+            // Remember how many chunks the cookie had before, so leftover chunks can be deleted
+            previousChunks = chunkCount(firstValue(parseCookies(store.read()), name));
+
+            for (i = 0; i < chunks.length; i++) {
+                store.write((i ? name + '.' + i : name) + '=' + chunks[i] + attributes);
+            }
+
+            for (i = chunks.length; i < previousChunks; i++) {
+                store.write([name + '.' + i, '=; expires=', new Date(0).toUTCString(), '; max-age=0', path, domain,
+                    secure, sameSite, partitioned].join(''));
+            }
+
+            // Let change listeners know
+            scheduleCheck();
+
+            // Check that the cookie was stored, and stop the batch if it was not
+            if (activeBatch && !(options.expires < 0)) {
+                activeBatch.results.push(verifyWrite(self, store, name, value, options));
+                if (!activeBatch.results[activeBatch.results.length - 1].ok) {
+                    throw batchFailure;
+                }
+            }
+
+            return value;
+
+        } else {
+
+            // Only a cookie name was specified, so we will get the cookie value
+            cookieValue = null;
+
+            // Find the cookie, putting its chunks back together if it was split,
+            // and choosing between cookies with the same name as configured.
+            // The parsed cookies are cached until the cookie string changes.
+            encoded = selectValue(store, name, options.duplicates || self.duplicatePolicy);
+
+            if (encoded !== null) {
+                found = {};
+                cookieValue = decodeCookie(self, name, encoded, options, found);
+            }
+
+            // Write the cookie again if it was scrambled with other algorithms than the ones that are used now
+            if (options.upgrade && cookieValue !== null && found.scramble) {
+                upgrade(self, name, cookieValue, options, found);
+            }
+
+            return cookieValue;
+        }
+    };
 
 
     /*! END LICENSE Cookie plugin */
 
-    return $.extend(cookie, /** @lends cookie */ {
+
+    /**
+     * @namespace Functions that manipulate cookies
+     *
+     * @description Get, set, or delete a cookie.
+     *
+     * <p><b>IMPORTANT:</b> this function should not be called directly,
+     * use the shortcut methods attached to this function object instead.
+     * This function is subject to change without notice.</p>
+     *
+     * @returns {String||null} The cookie value. If the scramble option was specified, returns the scrambled value
+     * if you are setting the cookie, and the unscrambled value if you are getting the cookie.
+     * If retrieving a cookie that does not exist, returns null.
+     * If setting a cookie whose consent category does not have consent, returns null.
+     *
+     * @param {String} name Name of the cookie to get or set.
+     *
+     * @param {String} [value] Value of the cookie. Only used when setting the cookie.
+     *
+     * @param {Object} [options] Options for the cookie.
+     *
+     * @param {Number|Date|String} [options.expires=session] Expiration data for the cookie.
+     * If you specify a number, it represents a number of days.
+     * If you specify a negative number (e.g. a date in the past), the cookie will be deleted.
+     * A string can be a number followed by a unit, s (seconds), m (minutes), h (hours), d (days) or w (weeks),
+     * such as '30m' or '2h', a number of days such as '30', or a date such as '2030-01-01T00:00:00Z'.
+     * If you specify null or omit this option, the cookie will be a session cookie.
+     *
+     * @param {Boolean} [options.meta=false] Store the time the cookie was set and the time it expires
+     * together with the value, so {@link cookie.ttl} and {@link cookie.touch} can be used.
+     * The envelope is removed when the cookie is read, and a cookie whose expiry time has passed is treated
+     * as missing, even if the browser still has it.
+     *
+     * @param {String} [options.path=/] Path attribute of the cookie.
+     * By default this is '/' so the cookie will apply to all paths, since that is the most common use.
+     * <p>To limit the scope of your cookie, you can set the path of the cookie:</p>
+     * <ul>
+     * <li>Set options.path to an empty string to limit the cookie to the directory of the current page
+     * (and all subdirectories).</li>
+     * <li>You can also set options.path to a path other than the current page; however,
+     * there is a bug in IE where the path must be a directory name ending with slash.</li>
+     * </ul>
+     *
+     * @param {String} [options.domain=current page domain] Domain attribute of the cookie.
+     * Set this to "auto" to share the cookie with all subdomains of the registrable domain of the current page,
+     * which is found with a public suffix list: for news.example.co.uk that is example.co.uk.
+     * Refer to {@link cookie.rootDomain}. A domain that is a public suffix (such as co.uk or github.io)
+     * throws an error, because the browser would ignore the cookie.
+     *
+     * @param {Object} [options.location=window.location] Object with the hostname of the current URL,
+     * used by the "auto" domain. Specify this when using a store other than document.cookie.
+     * {@link cookie.trySet} also uses its protocol and pathname to explain why a cookie was not stored.
+     *
+     * @param {Boolean} [options.secure=false] Require secure transmission of the cookie.
+     *
+     * @param {String} [options.sameSite] SameSite attribute of the cookie: "Strict", "Lax" or "None"
+     * (case-insensitive).
+     * If omitted the attribute is not written and the browser default applies (Lax in current browsers).
+     * "None" requires options.secure, because browsers silently reject a SameSite=None cookie that is not secure.
+     *
+     * @param {Number} [options.maxAge] Max-Age attribute of the cookie, in seconds.
+     * Browsers give Max-Age precedence over Expires, so when a cookie is deleted with a negative expires,
+     * Max-Age is written as 0.
+     *
+     * @param {Boolean} [options.partitioned=false] Write the Partitioned attribute so the cookie is stored in
+     * partitioned (CHIPS) storage when used in a third-party context. Requires options.secure.
+     *
+     * @param {String} [options.priority] Priority attribute of the cookie: "Low", "Medium" or "High".
+     * Only Chromium based browsers use this when deciding which cookies to evict.
+     *
+     * <p>Cookie names that start with "__Secure-" or "__Host-" must follow the cookie prefix rules,
+     * otherwise the browser silently ignores the write, so an error is thrown instead:</p>
+     * <ul>
+     * <li>__Secure- requires options.secure.</li>
+     * <li>__Host- requires options.secure, must not have options.domain, and the path must be "/".</li>
+     * </ul>
+     *
+     * @param {Boolean|String|String[]} [options.scramble] Scramble or unscramble the value of the cookie.
+     *
+     * <p>When retrieving a cookie value, it does not matter which value you use for the scramble option
+     * as long as it is "true" or truthy: the cookie value contains a prefix that indicates which algorithm
+     * was used to encode the cookie. For backwards compatibility, if no prefix is found in the cookie,
+     * {@link cookie.scramblerLegacy} (rot13) is assumed.</p>
+     *
+     * <p>When setting a cookie, this option should contain "true" to scramble the cookie using the default scramble
+     * algorithm {@link cookie.scramblerDefault} (rot13n), or a string to indicate a different scramble algorithm
+     * to use.</p>
+     *
+     * <p>Several algorithms can be combined into a pipeline by separating their names with "|", or with an array,
+     * such as "lz|rot13n" to compress and then scramble. The names of the compression algorithms in
+     * {@link cookie.compressors} can also be used. The algorithms are applied from left to right, the prefix
+     * lists them in the same order, such as "[lz|rot13n]", and they are decoded in reverse order.</p>
+     *
+     * <p>The following algorithms are available by default, but others can be added:</p>
+     *
+     * <ul>
+     * <li>rot13 - scrambles letters a-z</li>
+     * <li>rot13n - scrambles letters a-z and numbers 0-9 (the default if you specify "true")</li>
+     * <li>aesgcm - encrypts the value with AES-GCM, refer to {@link cookie.encryption}.
+     * This algorithm is asynchronous so it can only be used with {@link cookie.setAsync} and
+     * {@link cookie.getAsync}.</li>
+     * </ul>
+     *
+     * <p>If you set this to a value that is not a valid scramble algorithm then it defaults to rot13n.</p>
+     *
+     * <p>Refer to {@link cookie.scramblers} for more information on adding custom algorithms.<p>
+     *
+     * @param {Boolean} [options.upgrade=false] When getting a cookie with the scramble option, write the cookie
+     * again if it was scrambled with other algorithms than the ones the scramble option selects now,
+     * usually because {@link cookie.scramblerDefault} was changed. Specify the same path, domain and
+     * other options that are used to set the cookie. The expiry time is kept if the cookie has a metadata
+     * envelope (refer to the meta option), otherwise the cookie is only upgraded if the expires or maxAge
+     * option is specified. A value checked with the verify option is signed again.
+     * Asynchronous algorithms are not upgraded.
+     *
+     * @param {Boolean|String} [options.compress] Compress the value of the cookie, if that makes it smaller.
+     * Specify true to use the default compression algorithm {@link cookie.compressorDefault} (lz),
+     * or the name of an algorithm in {@link cookie.compressors}. Compressed values start with a prefix such as
+     * "[lz]", and are decompressed automatically when the cookie is read, so this is only used when setting
+     * the cookie.
+     *
+     * <p>When a cookie is set, the value is compressed first, then scrambled, then signed.
+     * When a cookie is read, the signature is verified first, then the value is unscrambled,
+     * then decompressed.</p>
+     *
+     * @param {Boolean|String|String[]} [options.sign] Sign the cookie value with an HMAC-SHA256 signature,
+     * so changes to the cookie can be detected with the verify option. Specify true to sign with the first of
+     * {@link cookie.secrets}, or specify the secret (or a list of secrets, the first is used).
+     * Signing is done after scrambling. Only used when setting the cookie.
+     *
+     * @param {Boolean} [options.signTimestamp=false] Include the time the cookie was signed in the signature,
+     * so it can be checked with the maxSignatureAge option. Only used when setting the cookie.
+     *
+     * @param {Boolean|String|String[]} [options.verify] Check the signature of the cookie value, and treat the
+     * cookie as if it does not exist if the signature is missing or wrong. Specify true to accept any of
+     * {@link cookie.secrets}, or specify the accepted secret (or list of secrets).
+     * Only used when getting the cookie.
+     *
+     * @param {Number} [options.maxSignatureAge] Used with the verify option to reject signatures that are older
+     * than this number of seconds, or that do not include the time they were signed.
+     *
+     * @param {Boolean} [options.queue=false] If the consent category of the cookie does not have consent,
+     * set the cookie when consent is granted instead of discarding it. Refer to {@link cookie.categorize}.
+     *
+     * @param {String} [options.duplicates=cookie.duplicatePolicy] Which value to get when there are several cookies
+     * with the same name, set with different paths or domains: "first", "last", "longest-path" or "throw".
+     * Refer to {@link cookie.duplicatePolicy}. Only used when getting the cookie.
+     *
+     * @param {String} [options.codec=cookie.codecDefault] How the value is encoded in the cookie,
+     * refer to {@link cookie.codecs}. A cookie must be read with the same codec it was written with.
+     *
+     * @param {Object} [options.store=cookie.store] Backing store to read and write the cookie.
+     * Refer to {@link cookie.serverStore} for using cookies during server-side rendering.
+     *
+     * @requires JSON
+     * @requires trim()
+     */
+    var cookie = function (name, value, options) {
+        return core.call(cookie, cookie.prefix + name, value, extend({}, cookie.defaults, options));
+    };
+
+    return extend(cookie, /** @lends cookie */ {
+
+        /**
+         * Create an independent cookie function with default options and a name prefix.
+         *
+         * <p>The instance has the same functions as {@link cookie}. Cookie names passed to it are prefixed
+         * automatically, and functions that list cookies, such as keys() and getAll(), only include cookies
+         * with the prefix and return their names without it. The default options are merged into the options
+         * of every call. The instance has its own copy of {@link cookie.scramblers}, so algorithms added to it
+         * do not affect other code.</p>
+         *
+         * <p>Other settings are copied from the function create() is called on when the instance is created.
+         * Registries such as {@link cookie.budgets}, {@link cookie.categories} and {@link cookie.schemas} are shared,
+         * and their names and patterns refer to the full cookie name, including the prefix.</p>
+         *
+         * @returns {Function} The new cookie function.
+         *
+         * @param {Object} [config]
+         * @param {String} [config.prefix] Prefix to add to the name of every cookie. Instances created from
+         * another instance add their prefix after the prefix of that instance.
+         * @param {Object} [config.defaults] Default options, refer to {@link cookie()}.
+         * Defaults are also inherited from the instance create() is called on.
+         * @param {Object} [config.scramblers] Additional scramble algorithms for this instance only.
+         * @param {String} [config.scramblerDefault] Default scramble algorithm for this instance.
+         *
+         * @example
+         * video = cookie.create({
+         *     prefix: 'video_',
+         *     defaults: {path: '/', domain: '.example.com', secure: true, scramble: true}
+         * });
+         * video.set('position', 120); // sets the video_position cookie
+         */
+        create: function (config) {
+
+            var parent = this, instance;
+
+            config = config || {};
+
+            instance = function (name, value, options) {
+                return core.call(instance, instance.prefix + name, value, extend({}, instance.defaults, options));
+            };
+
+            extend(instance, parent, {
+                prefix: parent.prefix + (config.prefix || ''),
+                defaults: extend({}, parent.defaults, config.defaults),
+                scramblers: extend({}, parent.scramblers, config.scramblers),
+                scramblerDefault: config.scramblerDefault || parent.scramblerDefault,
+                store: (config.defaults && config.defaults.store) || parent.store
+            });
+
+            return instance;
+        },
+
+
+        /**
+         * Prefix added to the name of every cookie, refer to {@link cookie.create}. Empty for {@link cookie}.
+         */
+        prefix: '',
+
+
+        /**
+         * Default options merged into the options of every call, refer to {@link cookie.create}.
+         * Empty for {@link cookie}.
+         */
+        defaults: {},
+
+
+        /**
+         * Get the value of a cookie.
+         *
+         * <p>To get the value of a scrambled cookie, you must specify the {scramble:true} option.</p>
+         *
+         * @returns {String} The value of a cookie, or an empty string if the cookie does not exist.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * v = cookie.get('mycookie');
+         *
+         * @example
+         * // Get the value of a scrambled cookie
+         * v = cookie.get('mycookie', {scramble:true});
+         *
+         * @see cookie.exists()
+         */
+        get: function (name, options) {
+            var v = this(name, undefined, options);
+            return v === null ? '' : v;
+        },
+
+
+        /**
+         * Get the value of a cookie, for cookies that are scrambled with an asynchronous algorithm such as aesgcm.
+         *
+         * <p>Cookies scrambled with synchronous algorithms can also be read this way,
+         * so it does not matter which algorithm was used to write the cookie.</p>
+         *
+         * @returns {Promise} Promise for the value of the cookie, or an empty string if the cookie does not exist
+         * or cannot be decrypted, for example because it was changed or the key is no longer available.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * cookie.getAsync('session', {scramble: true}).then(function (value) { ... });
+         */
+        getAsync: function (name, options) {
+
+            var self = this;
+
+            options = options || {};
+
+            return new Promise(function (resolve) {
+                resolve(self(name, undefined, extend({}, options, {scramble: false})));
+            }).then(function (value) {
+
+                if (value === null) {
+                    return '';
+                }
+
+                if (!options.scramble) {
+                    return value;
+                }
+
+                return unscrambleAsync(self, value).then(function (value) {
+
+                    // Decompress and remove the envelope in the same order as get()
+                    value = value === null ? null : decompress(self.compressors, value);
+                    value = metaRemove(self, value, options);
+
+                    return value === null ? '' : value;
+
+                }, function (e) {
+
+                    // Treat an unknown prefix as a programming error, but a value that cannot be decrypted
+                    // the same as a missing cookie
+                    if (typeof e === 'string' && e.indexOf('Cannot unscramble') === 0) {
+                        throw e;
+                    }
+
+                    return '';
+                });
+            });
+        },
+
+
+        /**
+         * Set the value of a cookie, for cookies that are scrambled with an asynchronous algorithm such as aesgcm.
+         *
+         * @returns {Promise} Promise for the cookie value, including the scramble prefix.
+         * The cookie has been written when the promise resolves.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} value Value for the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * cookie.setAsync('session', token, {scramble: 'aesgcm', secure: true}).then(function () { ... });
+         */
+        setAsync: function (name, value, options) {
+
+            var self = this;
+
+            options = options || {};
+
+            return new Promise(function (resolve) {
+
+                var prefixes = [], stages, time;
+
+                if (!options.scramble || value === null) {
+                    resolve(self(name, value, options));
+                    return;
+                }
+
+                stages = scramblePipeline(self, options.scramble);
+                options = extend({}, self.defaults, options);
+                time = storeTime(storeFor(self, options));
+
+                if (typeof options.expires === 'string') {
+                    options.expires = parseExpires(options.expires, time);
+                }
+
+                // Add the metadata envelope and compress before scrambling, the same as set()
+                if (options.meta && !(options.expires < 0)) {
+                    value = metaAdd(value, time, expiryTime(options, time));
+                    options.meta = false;
+                }
+
+                if (options.compress) {
+                    value = compress(self.compressors, self.compressorDefault, value, options.compress);
+                    options = extend({}, options, {compress: false});
+                }
+
+                // Apply the stages one after the other, waiting for the asynchronous ones
+                function next(i, value) {
+
+                    var param;
+
+                    if (i === stages.length) {
+                        return self(name, scramblePrefixAdd(prefixes.join('|'), value),
+                            extend({}, options, {scramble: false}));
+                    }
+
+                    param = stages[i].algorithm.param ? stages[i].algorithm.param() : '';
+                    prefixes.push(param ? stages[i].name + ':' + param : stages[i].name);
+
+                    return Promise.resolve(stages[i].algorithm.encode(String(value), param)).then(function (encoded) {
+                        return next(i + 1, encoded);
+                    });
+                }
+
+                resolve(next(0, value));
+            });
+        },
+
+
+        /**
+         * Get the values of all cookies.
+         *
+         * <p>If the scramble option is specified, values that have the prefix of a known scramble algorithm
+         * are unscrambled, and all other values are returned as they are.
+         * If a cookie name appears more than once, the first value is used, the same as get().
+         * Values that cannot be decoded are returned without decoding.</p>
+         *
+         * @returns {Object} Object with cookie names as keys and cookie values as values.
+         *
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {String} [options.prefix] Only include cookies with names that start with this string.
+         *
+         * @example
+         * all = cookie.getAll();
+         *
+         * @example
+         * // Get the values of all scrambled cookies whose names start with "user_"
+         * all = cookie.getAll({prefix: 'user_', scramble: true});
+         */
+        getAll: function (options) {
+
+            var cookies, header, i, name, prefix, result = {}, value;
+
+            options = extend({}, this.defaults, options);
+            prefix = this.prefix + (options.prefix || '');
+
+            header = storeFor(this, options).read();
+            cookies = parseCookies(header);
+
+            for (i = 0; i < cookies.length; i++) {
+
+                name = cookies[i].name;
+
+                if (result.hasOwnProperty(name.substring(this.prefix.length)) || name.indexOf(prefix) !== 0 ||
+                        isChunkName(header, name)) {
+                    continue;
+                }
+
+                value = rawValue(header, name);
+
+                // Skip cookies with missing chunks, the same as get()
+                if (value === null) {
+                    continue;
+                }
+
+                try {
+                    value = getCodec(this, options.codec).decode(value);
+                } catch (e) {
+                    // Leave cookies that were not encoded by us as they are
+                }
+
+                // Only unscramble values with a known prefix.
+                // Asynchronous algorithms can only be unscrambled with getAsync().
+                if (options.scramble && scramblePrefixGet(value)) {
+                    try {
+                        value = unscramble(this, value);
+                    } catch (e) {
+                        // Leave values that are not scrambled, or are scrambled asynchronously, as they are
+                    }
+                }
+
+                value = value === null ? null : decompress(this.compressors, value);
+                value = metaRemove(this, value, options);
+
+                // Skip cookies with corrupt compressed data or an expired envelope, the same as get()
+                if (value !== null) {
+                    result[name.substring(this.prefix.length)] = value;
+                }
+            }
+
+            return result;
+        },
+
+
+        /**
+         * Get every value of a cookie that has several cookies with the same name,
+         * set with different paths or domains.
+         *
+         * <p>To get the values of a scrambled cookie, you must specify the {scramble:true} option.
+         * Values that fail the verify option are left out.</p>
+         *
+         * @returns {String[]} The values in the order the browser lists them, which for document.cookie is
+         * longest path first. Empty if the cookie does not exist.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * values = cookie.getAllValues('region');
+         * if (values.length > 1) { ... }
+         */
+        getAllValues: function (name, options) {
+
+            var cookies, header, i, result = [], value;
+
+            options = extend({}, this.defaults, options);
+            name = this.prefix + name;
+
+            header = storeFor(this, options).read();
+            cookies = parseCookies(header);
+
+            for (i = 0; i < cookies.length; i++) {
+                if (cookies[i].name === name) {
+
+                    value = assembleChunks(header, name, cookies[i].value);
+                    value = value === null ? null : decodeCookie(this, name, value, options);
+
+                    if (value !== null) {
+                        result.push(value);
+                    }
+                }
+            }
+
+            return result;
+        },
+
+
+        /**
+         * Find cookies that have several cookies with the same name, which usually means the cookie was set
+         * with different paths or domains and one is hiding the other.
+         *
+         * @returns {Object[]} An object for each duplicated cookie, with the name, the number of cookies (count),
+         * and their raw values in the order the browser lists them (values).
+         *
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * report = cookie.duplicates();
+         * // returns [{name: 'region', count: 2, values: ['us', 'eu']}]
+         */
+        duplicates: function (options) {
+
+            var byName = {}, cookies, header, i, name, names = [], result = [];
+
+            options = extend({}, this.defaults, options);
+
+            header = storeFor(this, options).read();
+            cookies = parseCookies(header);
+
+            for (i = 0; i < cookies.length; i++) {
+
+                name = cookies[i].name;
+
+                if (name.indexOf(this.prefix) !== 0 || isChunkName(header, name)) {
+                    continue;
+                }
+
+                if (!byName.hasOwnProperty(name)) {
+                    byName[name] = [];
+                    names.push(name);
+                }
+
+                byName[name].push(cookies[i].value);
+            }
+
+            for (i = 0; i < names.length; i++) {
+                if (byName[names[i]].length > 1) {
+                    result.push({
+                        name: names[i].substring(this.prefix.length),
+                        count: byName[names[i]].length,
+                        values: byName[names[i]]
+                    });
+                }
+            }
+
+            return result;
+        },
+
+
+        /**
+         * Which value get(), getJson() and the other functions that read cookies use when there are
+         * several cookies with the same name, set with different paths or domains:
+         *
+         * <ul>
+         * <li>first - the first value the browser lists (the default, and the behavior of earlier versions)</li>
+         * <li>last - the last value the browser lists</li>
+         * <li>longest-path - the value with the longest path, which is the cookie that applies most specifically
+         * to the current page. Browsers list cookies with longer paths first, so for document.cookie this is
+         * the same as "first". If the store has an entries() function that returns the name, value and path
+         * of each cookie, such as {@link cookie.testJar}, the actual paths are compared.</li>
+         * <li>throw - throw an error, to find duplicate cookies during development</li>
+         * </ul>
+         *
+         * <p>This can be overridden with the duplicates option. Refer to {@link cookie.duplicates}.</p>
+         */
+        duplicatePolicy: 'first',
+
+
+        /**
+         * Get the names of all cookies, or the keys of a multi-value cookie.
+         *
+         * @returns {String[]} Cookie names in the order the browser lists them, without duplicates.
+         * If a cookie name is specified, the keys of that multi-value cookie, refer to {@link cookie.getKey}.
+         *
+         * @param {String} [name] Name of a multi-value cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {String} [options.prefix] Only include cookies with names that start with this string.
+         * Not used with a multi-value cookie.
+         *
+         * @example
+         * names = cookie.keys({prefix: 'ab_'});
+         *
+         * @example
+         * // Get the keys of a multi-value cookie
+         * flags = cookie.keys('flags');
+         */
+        keys: function (name, options) {
+
+            var cookies, header, i, prefix, result = [], seen = {};
+
+            if (typeof name === 'string') {
+                return objectKeys(readDictionary(this, name, options).data);
+            }
+
+            options = extend({}, this.defaults, name);
+            prefix = this.prefix + (options.prefix || '');
+
+            header = storeFor(this, options).read();
+            cookies = parseCookies(header);
+
+            for (i = 0; i < cookies.length; i++) {
+
+                name = cookies[i].name;
+
+                if (!seen.hasOwnProperty(name) && name.indexOf(prefix) === 0 && !isChunkName(header, name)) {
+                    seen[name] = true;
+                    result.push(name.substring(this.prefix.length));
+                }
+            }
+
+            return result;
+        },
+
+
+        /**
+         * Set the value of a cookie.
+         *
+         * @returns {String} The cookie value. If the scramble option was specified, returns the scrambled value.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} value Value for the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * v = cookie.set('mycookie', 10);
+         *
+         * @example
+         * // Set the value of a scrambled cookie
+         * v = cookie.set('mycookie', 10, {scramble:true});
+         *
+         */
+        set: function (name, value, options) {
+            return this(name, value, options);
+        },
+
+
+        /**
+         * Set the value of a cookie, and read it back to check that the browser stored it.
+         *
+         * <p>Browsers silently ignore cookies they reject, for example because the cookie is too large,
+         * is secure on an http page, or has a domain the page cannot set. This does not throw errors,
+         * instead the result explains the likely cause.</p>
+         *
+         * @returns {Object} Result with these properties:
+         * <ul>
+         * <li>ok - true if the cookie was stored</li>
+         * <li>name - name of the cookie</li>
+         * <li>value - the value that was written, as returned by {@link cookie.set}, or null</li>
+         * <li>reason - empty if the cookie was stored, otherwise 'consent' (the consent category does not have
+         * consent), 'error' (the options are invalid), 'disabled' (the browser does not store cookies),
+         * 'secure', 'domain', 'path' (the cookie was stored for a path that does not include the current page),
+         * 'sameSite', 'prefix', 'size' or 'unknown'</li>
+         * <li>error - explanation of the reason</li>
+         * </ul>
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} value Value for the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * result = cookie.trySet('prefs', value, {secure: true});
+         * if (!result.ok) {
+         *     log('Preferences were not saved: ' + result.error);
+         * }
+         */
+        trySet: function (name, value, options) {
+
+            var stored;
+
+            options = extend({}, this.defaults, options);
+
+            try {
+                stored = core.call(this, this.prefix + name, value, options);
+            } catch (e) {
+                return writeResult(name, null, 'error', String(e));
+            }
+
+            if (stored === null) {
+                return writeResult(name, null, 'consent',
+                    'The consent category of the cookie does not have consent, or an interceptor cancelled the write');
+            }
+
+            return extend(verifyWrite(this, storeFor(this, options), this.prefix + name, stored, options),
+                {name: name});
+        },
+
+
+        /**
+         * Set several cookies as a group: if one of them is not stored, the cookies that were already set
+         * are put back the way they were.
+         *
+         * <p>Every cookie that is set or deleted while the function runs is part of the group, including cookies
+         * of other instances. Each cookie that is set is read back, as {@link cookie.trySet} does. When a cookie
+         * was not stored, or was blocked by consent, the function is stopped and the previous values are
+         * restored. Browsers do not tell scripts the attributes of a cookie, so a previous value is written
+         * back with the attributes of the write that is undone. Cookies that did not exist are deleted.</p>
+         *
+         * <p>If the function throws an error, the previous values are also restored, and the error is
+         * thrown again. Batches cannot be nested.</p>
+         *
+         * @returns {Object} Result with ok (true if all cookies were stored), results (the result of each cookie
+         * that was set, refer to {@link cookie.trySet}) and failed (the result of the cookie that was not stored,
+         * or null).
+         *
+         * @param {Function} fn Function that sets the cookies. It is called with the cookie function as argument.
+         *
+         * @example
+         * result = cookie.batch(function (c) {
+         *     c.setJson('cart', cart, {expires: 7});
+         *     c.set('cartCount', cart.items.length, {expires: 7});
+         * });
+         */
+        batch: function (fn) {
+
+            var batch;
+
+            if (activeBatch) {
+                throw 'cookie.batch() cannot be nested';
+            }
+
+            batch = activeBatch = {results: [], snapshots: []};
+
+            try {
+                fn.call(this, this);
+            } catch (e) {
+
+                activeBatch = null;
+                rollback(batch.snapshots);
+
+                if (e !== batchFailure) {
+                    throw e;
+                }
+
+                return {ok: false, results: batch.results, failed: batch.results[batch.results.length - 1]};
+            }
+
+            activeBatch = null;
+
+            return {ok: true, results: batch.results, failed: null};
+        },
+
+
+        /**
+         * Set several cookies as a group, refer to {@link cookie.batch}.
+         *
+         * @returns {Object} Result, refer to {@link cookie.batch}.
+         *
+         * @param {Object[]} cookies Cookies to set, each with name, value and options.
+         * A value of null deletes the cookie.
+         *
+         * @example
+         * cookie.setMany([
+         *     {name: 'lang', value: 'en', options: {expires: 365}},
+         *     {name: 'region', value: 'eu', options: {expires: 365}}
+         * ]);
+         */
+        setMany: function (cookies) {
+            return this.batch(function (c) {
+
+                var i;
+
+                for (i = 0; i < cookies.length; i++) {
+                    c(cookies[i].name, cookies[i].value, cookies[i].options);
+                }
+            });
+        },
+
+
+        /**
+         * Get the value of a cookie and parse it as json.
+         *
+         * <p>To get the value of a scrambled cookie, you must specify the {scramble:true} option.</p>
+         *
+         * <p>If a schema was defined for the cookie, the value is upgraded and checked,
+         * refer to {@link cookie.defineSchema}.</p>
+         *
+         * @returns {Object} The value of the cookie parsed as json string and returned as a Javascript data structure.
+         * If the cookie is not set, or the json string cannot be parsed, returns an empty object
+         * (or the default value of the schema).
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {Boolean} [options.strict=false] Throw an error if the cookie does not match its schema.
+         *
+         * @example
+         * v = cookie.getJson('mycookie');
+         * if (v.firstname) { ... }
+         *
+         * @example
+         * // Get the value of a scrambled cookie
+         * v = cookie.getJson('mycookie', {scramble:true});
+         */
+        getJson: function (name, options) {
+
+            var error, found, migrated = false, rewrite, schema, self = this, value, version;
+
+            // Report a cookie that does not match its schema, and return the default value instead
+            function invalid(message) {
+
+                message = 'Cookie ' + name + ' ' + message;
+
+                if (options.strict) {
+                    throw message;
+                }
+
+                (schema.onInvalid || self.warn).call(self, message, name, value);
+
+                return schemaDefaults(schema);
+            }
+
+            schema = this.schemas.hasOwnProperty(this.prefix + name) ? this.schemas[this.prefix + name] : null;
+            options = schema ? extend({}, schema.options, options) : options || {};
+
+            value = this(name, undefined, options);
+
+            // If cookie doesn't exist, return empty object
+            if (value === null) {
+                return schema ? schemaDefaults(schema) : {};
+            }
+
+            // If the cookie doesn't contain json data,
+            // parsing it will cause an error.
+            try {
+                value = JSON.parse(value);
+            } catch (e) {
+                // In case of parsing error, return empty object
+                return schema ? invalid('is not valid json') : {};
+            }
+
+            if (!schema) {
+                return value;
+            }
+
+            // Unwrap the version envelope. Cookies without one were written before the schema was defined.
+            if (value && typeof value === 'object' && value.hasOwnProperty('$v') && value.hasOwnProperty('$d')) {
+                version = value.$v;
+                value = value.$d;
+            } else {
+                version = 1;
+            }
+
+            if (typeof version !== 'number' || version > schema.version) {
+                return invalid('has unknown version ' + version);
+            }
+
+            // Upgrade one version at a time
+            for (; version < schema.version; version++) {
+
+                if (!schema.migrations || typeof schema.migrations[version] !== 'function') {
+                    return invalid('has version ' + version + ' and there is no migration from it');
+                }
+
+                value = schema.migrations[version](value);
+                migrated = true;
+            }
+
+            error = schema.shape ? shapeError(schema.shape, value, '') : '';
+
+            if (error) {
+                return invalid('does not match its schema: ' + error);
+            }
+
+            // Write back the upgraded value, so it is only migrated once.
+            // The cookie keeps its expiry time and signature, or is migrated again next time if they are not known.
+            if (migrated) {
+
+                found = readFound(this, this.prefix + name, extend({}, this.defaults, options));
+                rewrite = found && rewriteArguments(JSON.stringify({$v: schema.version, $d: value}),
+                    extend({}, this.defaults, options), found);
+
+                if (rewrite) {
+                    this(name, rewrite.value, rewrite.options);
+                }
+            }
+
+            return value;
+        },
+
+
+        /**
+         * Set the value of a cookie to a json string.
+         *
+         * @returns {String} The cookie value. If the scramble option was specified, returns the scrambled value.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} oValue A javascript data structure to encode into a json string.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * cookie.setJson('mycookie', {first:'Joe',last:'Smith'});
+         */
+        setJson: function (name, oValue, options) {
+
+            var error, schema;
+
+            schema = this.schemas.hasOwnProperty(this.prefix + name) ? this.schemas[this.prefix + name] : null;
+
+            if (schema) {
+
+                error = schema.shape ? shapeError(schema.shape, oValue, '') : '';
+
+                if (error) {
+                    throw 'Cookie ' + name + ' does not match its schema: ' + error;
+                }
+
+                // Wrap the value with its version
+                oValue = {$v: schema.version, $d: oValue};
+                options = extend({}, schema.options, options);
+            }
+
+            return this(name, JSON.stringify(oValue), options);
+        },
+
+
+        /**
+         * Define the schema and version of a json cookie.
+         *
+         * <p>After a schema is defined, {@link cookie.setJson} stores the value together with its version
+         * (as {"$v":version,"$d":value}) and throws an error if the value does not match the schema.
+         * {@link cookie.getJson} runs the migrations to upgrade values written with older versions,
+         * writes the upgraded value back, and checks the value against the schema.
+         * Cookies that cannot be parsed, cannot be upgraded, or do not match the schema are reported
+         * and the default value is returned instead. Cookies that do not exist return the default value.</p>
+         *
+         * <p>Browsers do not send the expiry time of a cookie, so the upgraded value is only written back if
+         * the cookie was set with the meta option, or if the options have an expires or maxAge option.
+         * Otherwise it is upgraded again each time it is read. A value read with the verify option is signed again.</p>
+         *
+         * <p>Cookies that were written before the schema was defined are treated as version 1.</p>
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} schema
+         * @param {Number} [schema.version=1] The current version of the value.
+         * @param {Object|String|Function} [schema.shape] The shape of the value. This is either:
+         * <ul>
+         * <li>A type: "string", "number", "boolean", "object", "array" or "any". Add "?" to allow the value
+         * to be missing or null, for example "number?".</li>
+         * <li>An object with a shape for each property that is checked. Other properties are allowed.</li>
+         * <li>A function that returns true if the value is valid, or an error message.</li>
+         * </ul>
+         * @param {Object} [schema.migrations] Functions that upgrade a value, keyed by the version they upgrade from.
+         * The function for version 1 receives a version 1 value and returns a version 2 value, and so on.
+         * @param {*} [schema.defaults={}] The value returned for cookies that do not exist or are invalid.
+         * @param {Object} [schema.options] Options to use when reading and writing the cookie, such as path and
+         * scramble, refer to {@link cookie()}. Options passed to getJson() and setJson() take precedence.
+         * @param {Function} [schema.onInvalid=cookie.warn] Called with an error message, the cookie name and the
+         * parsed value when the cookie is invalid. Specify the strict option in getJson() to throw the error instead.
+         *
+         * @example
+         * cookie.defineSchema('prefs', {
+         *     version: 2,
+         *     shape: {theme: 'string', fontSize: 'number?'},
+         *     migrations: {
+         *         1: function (v) { return {theme: v.dark ? 'dark' : 'light'}; }
+         *     },
+         *     defaults: {theme: 'light'},
+         *     options: {expires: 365}
+         * });
+         */
+        defineSchema: function (name, schema) {
+            this.schemas[this.prefix + name] = extend({version: 1}, schema);
+        },
+
+
+        /**
+         * Schemas of json cookies, keyed by full cookie name. Use {@link cookie.defineSchema} to add a schema.
+         */
+        schemas: {},
+
+
+        /**
+         * Get one value from a multi-value cookie.
+         *
+         * <p>A multi-value cookie packs several small values into one cookie, to save cookies.
+         * It is stored either as json, or more compactly as "a=1&amp;b=2" where all values are strings;
+         * the encoding is detected when the cookie is read. To get the value of a scrambled cookie,
+         * you must specify the {scramble:true} option.</p>
+         *
+         * @returns {*} The value, or null if the cookie or the key does not exist.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} key The key of the value within the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * if (cookie.getKey('flags', 'tourDone')) { ... }
+         *
+         * @see cookie.keys()
+         */
+        getKey: function (name, key, options) {
+
+            var data = readDictionary(this, name, options).data;
+
+            return data.hasOwnProperty(key) ? data[key] : null;
+        },
+
+
+        /**
+         * Set one value in a multi-value cookie, refer to {@link cookie.getKey}.
+         *
+         * <p>The cookie is read again right before it is written, so values set by other scripts are kept.</p>
+         *
+         * @returns {String} The cookie value. If the scramble option was specified, returns the scrambled value.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} key The key of the value within the cookie.
+         * @param {*} value The value. With the query encoding it is converted to a string.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {String} [options.encoding] "json" or "query". By default a new cookie uses json,
+         * and an existing cookie keeps its encoding.
+         *
+         * @example
+         * cookie.setKey('flags', 'tourDone', true, {expires: 365});
+         *
+         * @example
+         * // Use the compact encoding, for example "tourDone=1&theme=dark"
+         * cookie.setKey('flags', 'tourDone', 1, {encoding: 'query'});
+         */
+        setKey: function (name, key, value, options) {
+
+            var dictionary = readDictionary(this, name, options);
+
+            if (options && options.encoding) {
+                dictionary.encoding = options.encoding;
+            }
+
+            dictionary.data[key] = value;
+
+            return writeDictionary(this, name, dictionary, options);
+        },
+
+
+        /**
+         * Remove one value from a multi-value cookie, refer to {@link cookie.getKey}.
+         * If it was the last value, the cookie is deleted.
+         *
+         * @returns {String} The cookie value, or an empty string if the cookie was deleted.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} key The key of the value within the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * cookie.removeKey('flags', 'tourDone');
+         */
+        removeKey: function (name, key, options) {
+
+            var dictionary = readDictionary(this, name, options);
+
+            if (!dictionary.data.hasOwnProperty(key)) {
+                return this(name, undefined, options) || '';
+            }
+
+            delete dictionary.data[key];
+
+            if (!objectKeys(dictionary.data).length) {
+                return this.deleteCookie(name, options);
+            }
+
+            return writeDictionary(this, name, dictionary, options);
+        },
+
+
+        /**
+         * Determine if a cookie exists.
+         *
+         * @returns {Boolean} True if the cookie exists.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options, such as store.
+         *
+         * @example
+         * if (cookie.exists('mycookie')) { ... }
+         *
+         * @example
+         * // Check a cookie of the current request on the server
+         * if (cookie.exists('session', {store: cookie.serverStore(req.headers.cookie)})) { ... }
+         */
+        exists: function (name, options) {
+            return (this(name, undefined, options) !== null);
+        },
+
+
+        /**
+         * Get the time until a cookie expires.
+         *
+         * <p>Browsers do not tell scripts when a cookie expires, so this only works for cookies that were
+         * set with the meta option.</p>
+         *
+         * @returns {Number|null} Number of seconds until the cookie expires, Infinity for a session cookie,
+         * or null if the cookie does not exist or was not set with the meta option.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * cookie.set('session', id, {expires: '30m', meta: true});
+         * if (cookie.ttl('session') < 5 * 60) {
+         *     showWarning('Your session expires in 5 minutes');
+         * }
+         */
+        ttl: function (name, options) {
+
+            var encoded, meta, store, value;
+
+            options = extend({}, this.defaults, options);
+            name = this.prefix + name;
+            store = storeFor(this, options);
+
+            encoded = selectValue(store, name, options.duplicates || this.duplicatePolicy);
+            value = encoded === null ? null : decodeLayers(this, name, encoded, options);
+            meta = value === null ? null : metaRead(value);
+
+            if (!meta) {
+                return null;
+            }
+
+            if (meta.expires === null) {
+                return Infinity;
+            }
+
+            return Math.max(0, Math.floor((meta.expires - storeTime(store)) / 1000));
+        },
+
 
         /**
-         * Get the value of a cookie.
+         * Extend the lifetime of a cookie that was set with the meta option, for sliding expiration.
          *
-         * <p>To get the value of a scrambled cookie, you must specify the {scramble:true} option.</p>
+         * <p>The cookie is written again with the same value and the same lifetime it was given when it was set,
+         * starting now. Pass the same path, domain, scramble and other options that were used to set the cookie.
+         * If the expires or maxAge option is specified, that is used as the new lifetime instead.</p>
          *
-         * @returns {String} The value of a cookie, or an empty string if the cookie does not exist.
+         * @returns {Boolean} True if the cookie was written, false if it does not exist or was not set
+         * with the meta option.
          *
          * @param {String} name Name of the cookie.
          * @param {Object} [options] Refer to {@link cookie()} for available options.
          *
          * @example
-         * v = cookie.get('mycookie');
+         * cookie.set('session', id, {expires: '30m', meta: true});
+         * // On every user action, keep the session alive for another 30 minutes
+         * cookie.touch('session');
+         */
+        touch: function (name, options) {
+
+            var encoded, meta, store, time, value;
+
+            options = extend({}, this.defaults, options);
+            name = this.prefix + name;
+            store = storeFor(this, options);
+
+            encoded = selectValue(store, name, options.duplicates || this.duplicatePolicy);
+            value = encoded === null ? null : decodeLayers(this, name, encoded, options);
+            meta = value === null ? null : metaRead(value);
+            time = storeTime(store);
+
+            if (!meta || (meta.expires !== null && meta.expires <= time)) {
+                return false;
+            }
+
+            if ((options.expires === undefined || options.expires === null) &&
+                    (options.maxAge === undefined || options.maxAge === null) && meta.expires !== null) {
+                options.expires = new Date(time + meta.expires - meta.created);
+            }
+
+            options.meta = true;
+
+            return core.call(this, name, meta.value, options) !== null;
+        },
+
+
+        /**
+         * Interceptor hooks that run around every get, set and delete, for example to log which scripts write
+         * which cookies, or to change the options of every cookie. This is an array of objects, each with
+         * one or more of these functions:
+         *
+         * <ul>
+         * <li>beforeSet(operation) - called before a cookie is set. Return false to cancel, then the set returns
+         * null, the same as a cookie that is blocked by consent.</li>
+         * <li>afterSet(operation) - called after a cookie is set, operation.result is the value that was written.</li>
+         * <li>afterGet(operation) - called after a cookie is read, operation.value is the value, or null if the
+         * cookie does not exist. Change operation.value to change what is returned.</li>
+         * <li>beforeDelete(operation) - called before a cookie is deleted, with a null value, or with an expires date
+         * that has passed or a maxAge of 0. Return false to cancel.</li>
+         * </ul>
+         *
+         * <p>The operation object has type ('get', 'set' or 'delete'), name (including the prefix of the instance),
+         * value and options properties. Hooks that run before the operation can change them. Hooks run in
+         * the order of the array, for {@link cookie()} and every function built on it, such as set(), setJson(),
+         * get(), getJson(), exists() and deleteCookie(). Instances created with {@link cookie.create} share the
+         * array. Cookies that the hooks read or write themselves do not run the hooks.</p>
          *
          * @example
-         * // Get the value of a scrambled cookie
-         * v = cookie.get('mycookie', {scramble:true});
+         * cookie.interceptors.push({
+         *     beforeSet: function (operation) {
+         *         if (location.protocol === 'https:') {
+         *             operation.options.secure = true;
+         *         }
+         *     },
+         *     afterSet: function (operation) {
+         *         console.log('Cookie ' + operation.name + ' set', new Error().stack);
+         *     }
+         * });
+         */
+        interceptors: [],
+
+
+        /**
+         * Check if the browser stores cookies.
          *
-         * @see cookie.exists()
+         * <p>A cookie is written and read back, because in privacy modes and some webviews writes to document.cookie
+         * are silently ignored while navigator.cookieEnabled is still true. The result is also used to decide if
+         * the {@link cookie.fallback} store is needed.</p>
+         *
+         * @returns {Boolean} True if cookies can be stored.
+         *
+         * @example
+         * if (!cookie.enabled()) {
+         *     cookie.fallback = 'sessionStorage';
+         * }
+         */
+        enabled: function () {
+            cookiesWork = probeCookies();
+            return cookiesWork;
+        },
+
+
+        /**
+         * Get the name of the backing store that holds a cookie.
+         *
+         * @returns {String} 'cookie' for document.cookie, 'localStorage', 'sessionStorage' or 'memory' for
+         * the {@link cookie.fallback} store, 'server' for a {@link cookie.serverStore}, 'custom' for another store,
+         * or an empty string if the cookie does not exist.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * if (cookie.backendOf('cart') !== 'cookie') {
+         *     // The server will not see the cart
+         * }
+         */
+        backendOf: function (name, options) {
+
+            if (this(name, undefined, options) === null) {
+                return '';
+            }
+
+            return storeFor(this, extend({}, this.defaults, options)).type || 'custom';
+        },
+
+
+        /**
+         * Delete (expire) a cookie.
+         *
+         * You must use the same path/domain options that were used in creating the cookie.
+         * If the cookie was split into chunks because of its size, all of the chunks are deleted.
+         *
+         * We could not call this method "delete" because that is a reserved word.
+         *
+         * @returns {String} Empty string.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * cookie.deleteCookie('mycookie');
+         *
+         * @example
+         * cookie.deleteCookie('mycookie', {path:'/'});
+         */
+        deleteCookie: function (name, options) {
+            return this(name, '', extend({}, options, {expires: -1}));
+        },
+
+
+        /**
+         * Delete a cookie with every path and domain it could have been set with from the current page.
+         *
+         * <p>A cookie can only be deleted with the same path and domain it was set with, which are not visible
+         * to script. This expires the cookie for every ancestor path of the current URL (with and without
+         * a trailing slash) combined with the current host and each of its parent domains, then reads the
+         * cookies again to confirm it is gone. If copies are still there, it tries again with the partitioned
+         * attribute, in case they are partitioned (CHIPS) cookies.</p>
+         *
+         * <p>Note that HttpOnly cookies set by the server cannot be seen or deleted by script,
+         * so they are not reported and must be deleted by the server.</p>
+         *
+         * @returns {Object} Object with the cookie name, the number of delete attempts, the raw values of
+         * copies that could not be removed (remaining), and whether all copies were removed (removed).
+         *
+         * @param {String} name Name of the cookie.
+         * @param {Object} [options]
+         * @param {Object} [options.location=window.location] Object with the hostname, pathname and protocol
+         * of the current URL. Specify this when using a store other than document.cookie.
+         * @param {Object} [options.store] Backing store, refer to {@link cookie()}.
+         *
+         * @example
+         * result = cookie.deleteEverywhere('session');
+         * if (!result.removed) { ... }
+         */
+        deleteEverywhere: function (name, options) {
+
+            var attempts = 0, domains, i, j, k, labels, location, parts, paths, remaining, secure, store;
+
+            options = options || {};
+            location = options.location || window.location;
+            store = storeFor(this, options);
+            name = this.prefix + name;
+
+            // Secure cookies can only be deleted with the secure attribute, which can only be used on https
+            secure = location.protocol === 'https:' || /^__(Secure|Host)-/i.test(name);
+
+            // Every ancestor of the current path, like "/", "/a", "/a/", "/a/b.html"
+            paths = ['/'];
+            parts = (location.pathname || '/').split('/');
+
+            for (i = 2; i <= parts.length; i++) {
+
+                if (parts[i - 1]) {
+
+                    paths.push(parts.slice(0, i).join('/'));
+
+                    if (i < parts.length) {
+                        paths.push(parts.slice(0, i).join('/') + '/');
+                    }
+                }
+            }
+
+            // The current host without a domain attribute, then the host and each parent domain,
+            // down to the registrable domain
+            domains = [undefined];
+            labels = (location.hostname || '').split('.');
+
+            for (i = 0; i < labels.length - 1 && !isHostOnly(location.hostname); i++) {
+
+                domains.push(labels.slice(i).join('.'));
+
+                if (domains[domains.length - 1] === rootDomain(location.hostname)) {
+                    break;
+                }
+            }
+
+            // __Host- cookies can only have path "/" and no domain
+            if (/^__Host-/i.test(name)) {
+                paths = ['/'];
+                domains = [undefined];
+            }
+
+            // Find the copies of the cookie that are left
+            function find() {
+
+                var cookies = parseCookies(store.read()), n, result = [];
+
+                for (n = 0; n < cookies.length; n++) {
+                    if (cookies[n].name === name) {
+                        result.push(cookies[n].value);
+                    }
+                }
+
+                return result;
+            }
+
+            for (k = 0; k < 2; k++) {
+
+                // Only try partitioned cookies if there are copies left
+                if (k === 1 && (!secure || !find().length)) {
+                    break;
+                }
+
+                for (i = 0; i < paths.length; i++) {
+                    for (j = 0; j < domains.length; j++) {
+                        core.call(this, name, null, {
+                            store: store,
+                            path: paths[i],
+                            domain: domains[j],
+                            secure: secure,
+                            partitioned: k === 1
+                        });
+                        attempts++;
+                    }
+                }
+            }
+
+            delete written[name];
+
+            remaining = find();
+
+            if (remaining.length) {
+                this.warn('Cookie ' + name + ' could not be deleted everywhere, ' + remaining.length +
+                    ' copies are left');
+            }
+
+            return {
+                name: name,
+                attempts: attempts,
+                remaining: remaining,
+                removed: !remaining.length
+            };
+        },
+
+
+        /**
+         * Listen for changes to a cookie.
+         *
+         * <p>The handler is called when the cookie is set, changed or deleted, whether that was done
+         * by this page, another script, another tab, or a server response.
+         * It receives an event object with type, name, oldValue and newValue properties.
+         * The values are decoded the same way as {@link cookie.get}, or {@link cookie.getJson} if the json option
+         * is specified, so you must specify the scramble option to get the values of a scrambled cookie.</p>
+         *
+         * <p>If the browser supports CookieStore change events they are used to detect changes,
+         * otherwise the cookies are checked every {@link cookie.pollInterval} milliseconds
+         * while the page is visible. Handlers are always called asynchronously.</p>
+         *
+         * @param {String} type Event type, must be "change".
+         * @param {String} name Name of the cookie.
+         * @param {Function} handler Function to call when the cookie changes.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {Boolean} [options.json=false] Parse the values as json, the same as getJson().
+         *
+         * @example
+         * cookie.on('change', 'consent', function (event) {
+         *     if (event.newValue.analytics) { ... }
+         * }, {json: true});
+         *
+         * @see cookie.off()
+         */
+        on: function (type, name, handler, options) {
+
+            var listener;
+
+            if (type !== 'change') {
+                throw 'Unknown cookie event ' + type;
+            }
+
+            options = options || {};
+
+            listener = {
+                self: this,
+                name: name,
+                rawName: this.prefix + name,
+                handler: handler,
+                options: options,
+                header: storeFor(this, options).read() || ''
+            };
+
+            listener.raw = rawValue(listener.header, listener.rawName);
+            listener.value = listenerValue(listener);
+
+            listeners.push(listener);
+            updateWatch(this.pollInterval);
+        },
+
+
+        /**
+         * Stop listening for changes to a cookie.
+         *
+         * @param {String} type Event type, must be "change".
+         * @param {String} [name] Name of the cookie. If omitted, all change listeners are removed.
+         * @param {Function} [handler] The handler that was passed to on().
+         * If omitted, all handlers for the cookie are removed.
+         *
+         * @example
+         * cookie.off('change', 'consent', onConsentChange);
+         */
+        off: function (type, name, handler) {
+
+            var i, listener;
+
+            if (type !== 'change') {
+                throw 'Unknown cookie event ' + type;
+            }
+
+            for (i = listeners.length - 1; i >= 0; i--) {
+
+                listener = listeners[i];
+
+                if (listener.self === this && (!name || listener.name === name) &&
+                        (!handler || listener.handler === handler)) {
+                    listeners.splice(i, 1);
+                }
+            }
+
+            updateWatch(this.pollInterval);
+        },
+
+
+        /**
+         * Get the size in bytes of a cookie as it would be written, including its attributes.
+         *
+         * <p>The cookie is not written. If the value is large enough to be split into chunks,
+         * the size of all chunks is included.</p>
+         *
+         * @returns {Number} Size in bytes.
+         *
+         * @param {String} name Name of the cookie.
+         * @param {String} value Value for the cookie.
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         *
+         * @example
+         * if (cookie.sizeOf('prefs', JSON.stringify(prefs), {scramble: true}) > 1024) { ... }
+         */
+        sizeOf: function (name, value, options) {
+
+            var size = 0,
+                store = storeFor(this, options),
+                budgets = this.budgets;
+
+            options = extend({}, options, {
+                store: {
+                    read: function () {
+                        return store.read();
+                    },
+                    write: function (s) {
+
+                        // Do not count leftover chunks that would be deleted
+                        if (!isExpired(parseSetCookie(s).attributes, new Date().getTime())) {
+                            size += byteSize(s);
+                        }
+                    }
+                }
+            });
+
+            // Measuring must not warn, throw or evict
+            this.budgets = null;
+
+            try {
+                this(name, value, options);
+            } finally {
+                this.budgets = budgets;
+            }
+
+            return size;
+        },
+
+
+        /**
+         * Get the size in bytes of the Cookie request header for the current page,
+         * or the part of it used by cookies with names that start with a prefix.
+         *
+         * <p>Only cookies that can be read by script are counted, so HttpOnly cookies set by the server
+         * add to the real size of the header.</p>
+         *
+         * @returns {Number} Size in bytes.
+         *
+         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {String} [options.prefix] Only count cookies with names that start with this string.
+         *
+         * @example
+         * if (cookie.headerSize() > 6000) { ... }
+         */
+        headerSize: function (options) {
+
+            options = options || {};
+
+            return headerSize(parseCookies(storeFor(this, options).read()),
+                this.prefix + (options.prefix || ''));
+        },
+
+
+        /**
+         * Size budgets that are checked each time a cookie is set. Each budget is an object with:
+         *
+         * <ul>
+         * <li>limit = the maximum size in bytes</li>
+         * <li>action = what to do when a cookie would go over the limit: "warn" (the default) to call
+         * {@link cookie.warn} and set the cookie anyway, "throw" to throw an error without setting the cookie,
+         * or "evict" to delete cookies with a lower priority until the cookie fits (and warn if it still does not).
+         * The priority of a cookie is the priority option it was set with, or refer to {@link cookie.priorities}.</li>
+         * </ul>
+         *
+         * <p>The budgets are:</p>
+         *
+         * <ul>
+         * <li>cookie = the size of a single cookie as written, including its attributes and all of its chunks.
+         * Evicting other cookies does not make a single cookie smaller, so "evict" acts like "throw".</li>
+         * <li>prefixes = an object with name prefixes as keys and budgets as values, for the size of
+         * the Cookie request header used by cookies with names that start with the prefix.</li>
+         * <li>total = the size of the Cookie request header for the current page.
+         * Many servers reject requests with headers larger than 8KB.</li>
+         * </ul>
+         *
+         * @example
+         * cookie.budgets.total = {limit: 6144, action: 'evict'};
+         * cookie.budgets.prefixes.ads_ = {limit: 1024, action: 'throw'};
+         * cookie.priorities.ads_ = 'Low';
+         */
+        budgets: {
+            cookie: null,
+            prefixes: {},
+            total: null
+        },
+
+
+        /**
+         * Eviction priority of cookies by name prefix: "Low", "Medium" or "High".
+         * The longest matching prefix is used. Cookies that do not match have "Medium" priority,
+         * and the priority option a cookie was set with takes precedence. Refer to {@link cookie.budgets}.
+         */
+        priorities: {},
+
+
+        /**
+         * Report a problem that does not stop the cookie from being used, such as going over a size budget.
+         * By default this calls console.warn(). Replace this function to send the warnings somewhere else.
+         *
+         * @param {String} message
+         */
+        warn: function (message) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn(message);
+            }
+        },
+
+
+        /**
+         * Maximum size in bytes of the name and value of a single cookie. Larger values are split
+         * into several cookies named "name", "name.1", "name.2" and so on, which get() puts back together.
+         * By default this is 4096, the smallest limit required of browsers by RFC 6265.
+         */
+        maxCookieSize: 4096,
+
+
+        /**
+         * Declare the consent category of a cookie, or of all cookies with names that start with a prefix.
+         *
+         * <p>Cookies can only be set when their category has consent, refer to {@link cookie.grant}.
+         * Otherwise set(), setJson() and the other functions that write cookies do nothing and return null,
+         * unless the queue option is specified, in which case the cookie is set when consent is granted.
+         * Cookies can always be deleted, also by setting an expires date that has passed or a maxAge of 0.
+         * Cookies that are not declared are in the {@link cookie.defaultCategory} category.</p>
+         *
+         * @param {String} pattern Name of the cookie, or a name prefix followed by "*".
+         * @param {String} category "necessary", "preferences", "analytics" or "marketing".
+         * @param {Object} [options]
+         * @param {Object[]} [options.locations] Additional path/domain options the cookies may have been set with,
+         * such as [{domain: '.example.com'}], so they can be deleted when consent is revoked.
+         *
+         * @example
+         * cookie.categorize('_ga*', 'analytics', {locations: [{domain: '.example.com'}]});
+         * cookie.categorize('theme', 'preferences');
+         */
+        categorize: function (pattern, category, options) {
+
+            checkCategory(category);
+
+            this.categories[pattern] = {
+                category: category,
+                locations: (options && options.locations) || []
+            };
+        },
+
+
+        /**
+         * Consent categories declared with {@link cookie.categorize}, keyed by name or prefix pattern.
+         */
+        categories: {},
+
+
+        /**
+         * Consent category of cookies that were not declared with {@link cookie.categorize}.
+         * By default this is 'necessary', so existing cookies keep working until they are declared.
          */
-        get: function (name, options) {
-            var v = this(name, undefined, options);
-            return v === null ? '' : v;
-        },
+        defaultCategory: 'necessary',
 
 
         /**
-         * Set the value of a cookie.
+         * Get the consent category of a cookie. An exact name takes precedence, then the longest matching prefix.
          *
-         * @returns {String} The cookie value. If the scramble option was specified, returns the scrambled value.
+         * @returns {String} The category.
          *
          * @param {String} name Name of the cookie.
-         * @param {String} value Value for the cookie.
-         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         */
+        categoryOf: function (name) {
+
+            var match = '', pattern, result = this.defaultCategory;
+
+            if (this.categories.hasOwnProperty(name)) {
+                return this.categories[name].category;
+            }
+
+            for (pattern in this.categories) {
+                if (this.categories.hasOwnProperty(pattern) && pattern.charAt(pattern.length - 1) === '*' &&
+                        name.indexOf(pattern.substring(0, pattern.length - 1)) === 0 && pattern.length > match.length) {
+                    match = pattern;
+                    result = this.categories[pattern].category;
+                }
+            }
+
+            return result;
+        },
+
+
+        /**
+         * Grant consent to a category, and set any cookies in it that were queued.
          *
-         * @example
-         * v = cookie.set('mycookie', 10);
+         * @param {String} category "preferences", "analytics" or "marketing". "necessary" always has consent.
          *
          * @example
-         * // Set the value of a scrambled cookie
-         * v = cookie.set('mycookie', 10, {scramble:true});
-         *
+         * cookie.grant('analytics');
          */
-        set: function (name, value, options) {
-            return this(name, value, options);
+        grant: function (category) {
+
+            var i, queued;
+
+            checkCategory(category);
+            consent[category] = true;
+
+            // Take the queued cookies out first, in case setting them queues anything else
+            queued = consentQueue;
+            consentQueue = [];
+
+            for (i = 0; i < queued.length; i++) {
+                if (queued[i].self.categoryOf(queued[i].name) === category) {
+                    core.call(queued[i].self, queued[i].name, queued[i].value, queued[i].options);
+                } else {
+                    consentQueue.push(queued[i]);
+                }
+            }
         },
 
 
         /**
-         * Get the value of a cookie and parse it as json.
-         *
-         * <p>To get the value of a scrambled cookie, you must specify the {scramble:true} option.</p>
-         *
-         * @returns {Object} The value of the cookie parsed as json string and returned as a Javascript data structure.
-         * If the cookie is not set, or the json string cannot be parsed, returns an empty object.
+         * Revoke consent for a category, and delete all of its cookies.
          *
-         * @param {String} name Name of the cookie.
-         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * <p>Each cookie is deleted with the default path, with every path/domain combination it was set with
+         * on this page, and with the locations declared with {@link cookie.categorize}.
+         * Cookies in the category that were queued are discarded.</p>
          *
-         * @example
-         * v = cookie.getJson('mycookie');
-         * if (v.firstname) { ... }
+         * @param {String} category "preferences", "analytics" or "marketing". "necessary" cannot be revoked.
+         * @param {Object} [options]
+         * @param {Object} [options.store] Backing store to delete the cookies from, such as
+         * a {@link cookie.serverStore} for the current request. By default this is {@link cookie.store}.
          *
          * @example
-         * // Get the value of a scrambled cookie
-         * v = cookie.getJson('mycookie', {scramble:true});
+         * cookie.revoke('marketing');
          */
-        getJson: function (name, options) {
+        revoke: function (category, options) {
 
-            var value = this(name, undefined, options);
+            var header, i, j, locations, name, names, pattern, store;
 
-            // If cookie doesn't exist, return empty object
-            if (value === null) {
-                return {};
+            checkCategory(category);
+
+            if (category === 'necessary') {
+                throw 'Cookie consent for the necessary category cannot be revoked';
             }
 
-            // If the cookie doesn't contain json data,
-            // parsing it will cause an error.
-            try {
-                value = JSON.parse(value);
-                return value;
-            } catch (e) {
-                // In case of parsing error, return empty object
-                return {};
+            consent[category] = false;
+
+            for (i = consentQueue.length - 1; i >= 0; i--) {
+                if (consentQueue[i].self.categoryOf(consentQueue[i].name) === category) {
+                    consentQueue.splice(i, 1);
+                }
+            }
+
+            // Consent is shared by all instances, so look at the full names of all cookies
+            store = storeFor(this, options);
+            header = store.read();
+            names = parseCookies(header);
+
+            for (i = 0; i < names.length; i++) {
+
+                name = names[i].name;
+
+                if (this.categoryOf(name) !== category || isChunkName(header, name)) {
+                    continue;
+                }
+
+                locations = [{}].concat(written.hasOwnProperty(name) ? written[name].locations : []);
+
+                // Add the locations declared for the patterns that match the cookie
+                for (pattern in this.categories) {
+                    if (this.categories.hasOwnProperty(pattern) && (pattern === name ||
+                            (pattern.charAt(pattern.length - 1) === '*' &&
+                            name.indexOf(pattern.substring(0, pattern.length - 1)) === 0))) {
+                        locations = locations.concat(this.categories[pattern].locations);
+                    }
+                }
+
+                for (j = 0; j < locations.length; j++) {
+                    deleteAt(this, store, name, locations[j]);
+                }
+
+                delete written[name];
             }
         },
 
 
         /**
-         * Set the value of a cookie to a json string.
+         * Determine if a consent category has consent.
          *
-         * @returns {String} The cookie value. If the scramble option was specified, returns the scrambled value.
+         * @returns {Boolean}
          *
-         * @param {String} name Name of the cookie.
-         * @param {Object} oValue A javascript data structure to encode into a json string.
-         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * @param {String} category
          *
          * @example
-         * cookie.setJson('mycookie', {first:'Joe',last:'Smith'});
+         * if (cookie.hasConsent('analytics')) { ... }
          */
-        setJson: function (name, oValue, options) {
-            return this(name, JSON.stringify(oValue), options);
+        hasConsent: function (category) {
+            checkCategory(category);
+            return hasConsent(category);
         },
 
 
         /**
-         * Determine if a cookie exists.
+         * Get the current consent state.
          *
-         * @returns {Boolean} True if the cookie exists.
+         * @returns {Object} Object with the categories as keys and true or false as values.
+         */
+        consentState: function () {
+            return extend({}, consent);
+        },
+
+
+        /**
+         * Get the registrable domain of a host: the public suffix (such as "com", "co.uk" or "github.io")
+         * plus one label. This is the broadest domain a cookie can be set for.
          *
-         * @param {String} name Name of the cookie.
+         * <p>IP addresses, localhost, and hosts that are themselves public suffixes are returned unchanged,
+         * since cookies for them can only be host-only.</p>
+         *
+         * @returns {String} The registrable domain.
+         *
+         * @param {String} [hostname=window.location.hostname] Host name.
          *
          * @example
-         * if (cookie.exists('mycookie')) { ... }
+         * cookie.rootDomain('news.example.co.uk');
+         * // returns 'example.co.uk'
          */
-        exists: function (name) {
-            return (this(name) !== null);
+        rootDomain: function (hostname) {
+            return rootDomain(hostname || window.location.hostname);
         },
 
 
         /**
-         * Delete (expire) a cookie.
+         * Determine if a domain is a public suffix, such as "com", "co.uk" or "github.io".
+         * Cookies cannot be set for a public suffix.
          *
-         * You must use the same path/domain options that were used in creating the cookie.
-         *
-         * We could not call this method "delete" because that is a reserved word.
+         * @returns {Boolean}
          *
-         * @returns {String} Empty string.
+         * @param {String} domain
+         */
+        isPublicSuffix: function (domain) {
+
+            domain = domain.toLowerCase().replace(/^\./, '');
+
+            // Top level domains are public suffixes, but localhost and IP addresses are not
+            if (isHostOnly(domain)) {
+                return domain.indexOf('.') === -1 && domain.indexOf(':') === -1 && domain !== 'localhost';
+            }
+
+            return publicSuffix(domain) === domain;
+        },
+
+
+        /**
+         * Replace the bundled public suffix list, for example with the full list from
+         * https://publicsuffix.org/list/public_suffix_list.dat, which is too large to bundle.
          *
-         * @param {String} name Name of the cookie.
-         * @param {Object} [options] Refer to {@link cookie()} for available options.
+         * <p>The bundled list has the most common multi-level suffixes; top level domains do not need to be listed.</p>
          *
-         * @example
-         * cookie.deleteCookie('mycookie');
+         * @param {String} text The list in the publicsuffix.org format, one rule per line,
+         * with "*." wildcard rules, "!" exception rules, and "//" comments.
          *
          * @example
-         * cookie.deleteCookie('mycookie', {path:'/'});
+         * cookie.updatePublicSuffixes(listText);
          */
-        deleteCookie: function (name, options) {
-            return this(name, '', $.extend({}, options, {expires: -1}));
+        updatePublicSuffixes: function (text) {
+            publicSuffixRules = parsePublicSuffixes(text);
         },
 
 
+        /**
+         * Number of milliseconds between checks for cookie changes, when the browser does not support
+         * CookieStore change events. Refer to {@link cookie.on}. By default this is 1000.
+         */
+        pollInterval: 1000,
+
+
         /**
          * Plug-in architecture for different ways to scramble the cookie.
          * This is an object with key:value pairs:
@@ -607,12 +5708,17 @@ define(function () {
          *   <ul>
          *     <li>encode = a function that encodes the cookie value string</li>
          *     <li>decode = a function that decodes the cookie value string</li>
+         *     <li>param = (optional) a function that returns a parameter to store in the prefix after a colon,
+         *     such as a key id. The parameter is passed as the second argument of encode and decode.</li>
+         *     <li>async = (optional) true if encode and decode return promises,
+         *     refer to {@link cookie.setAsync} and {@link cookie.getAsync}.</li>
          *   </ul>
          * </li>
          * </ul>
          *
          * <p>Note when the encoded text is stored in the cookie, the key is added to the front
-         * of the cookie data, like "[rot13]slkdfjousadfsdf".</p>
+         * of the cookie data, like "[rot13]slkdfjousadfsdf". When several algorithms are combined,
+         * the keys are separated by "|", like "[lz|rot13n]slkdfjousadfsdf". Keys cannot contain "|" or ":".</p>
          *
          * @example
          *
@@ -659,16 +5765,287 @@ define(function () {
                 decode: function (text) {
                     return rot5(rot13(text));
                 }
+            },
+
+
+            // aesgcm scramble
+            // Encrypts with AES-GCM using the keys in cookie.encryption
+            aesgcm: createAesGcmScrambler(encryption)
+        },
+
+
+        /**
+         * Plug-in architecture for different ways to compress the cookie, refer to the compress option of
+         * {@link cookie()}. This works the same way as {@link cookie.scramblers}: the key is the prefix that is
+         * added to compressed values, and the value is an object with encode and decode functions.
+         *
+         * <p>The decode function should return null if the data is corrupt.
+         * Because compressed values are detected by their prefix, only register prefixes that are unlikely
+         * to appear at the beginning of normal cookie values.</p>
+         *
+         * <p>The following algorithms are available by default:</p>
+         *
+         * <ul>
+         * <li>lz - LZW based compression to the base64url alphabet, compatible with
+         * compressToEncodedURIComponent() of lz-string except for the alphabet</li>
+         * </ul>
+         *
+         * @example
+         * cookie.setJson('filters', filters, {compress: true});
+         * filters = cookie.getJson('filters');
+         */
+        compressors: {
+
+            lz: {
+
+                encode: function (text) {
+                    return lzCompress(text);
+                },
+
+                decode: function (text) {
+                    return lzDecompress(text);
+                }
+            }
+        },
+
+
+        /**
+         * Plug-in architecture for different ways to encode the value of a cookie so it only contains
+         * characters that are allowed in cookies. This is an object with the codec name as key and an object with
+         * encode and decode functions as value. The codec is selected with the codec option of {@link cookie()},
+         * or per instance with the defaults of {@link cookie.create}.
+         *
+         * <p>The following codecs are available by default, but others can be added:</p>
+         *
+         * <ul>
+         * <li>legacy - encodeURIComponent(), except that { } : [ ] are left as they are so json cookies are
+         * more readable and smaller (the default)</li>
+         * <li>strict - encodeURIComponent(). The value only contains letters, numbers, - _ . ! ~ * ' ( ) and
+         * %XX escapes, which are RFC 6265 cookie-octets that no proxy or server framework changes</li>
+         * <li>base64url - the UTF-8 bytes of the value encoded with the base64url alphabet</li>
+         * <li>raw - the value is written as it is. Values containing semicolons or control characters are rejected,
+         * since the browser would cut them off</li>
+         * </ul>
+         *
+         * @example
+         * api = cookie.create({defaults: {codec: 'strict'}});
+         */
+        codecs: {
+
+            legacy: {
+                encode: encodeValue,
+                decode: decodeValue
+            },
+
+            strict: {
+
+                encode: function (text) {
+                    return encodeURIComponent(text);
+                },
+
+                decode: function (text) {
+                    return decodeURIComponent(text);
+                }
+            },
+
+            base64url: {
+
+                encode: function (text) {
+                    return base64urlEncode(utf8Encode(text));
+                },
+
+                decode: function (text) {
+                    return utf8Decode(base64urlDecode(text));
+                }
+            },
+
+            raw: {
+
+                encode: function (text) {
+
+                    if (/[;\x00-\x1f\x7f]/.test(text)) {
+                        throw 'Cookie value cannot contain semicolons or control characters with the raw codec';
+                    }
+
+                    return text;
+                },
+
+                decode: function (text) {
+                    return text;
+                }
             }
         },
 
+
+        /**
+         * Default value codec, used if the codec option is not specified. By default this is 'legacy'.
+         */
+        codecDefault: 'legacy',
+
+
+        /**
+         * Default compression algorithm, used if the compress option is true or not a known algorithm.
+         * By default this is 'lz'.
+         */
+        compressorDefault: 'lz',
+
+
+        /**
+         * Encryption keys for the aesgcm scramble algorithm.
+         *
+         * <ul>
+         * <li>keyId = the id of the key used to encrypt new values. The id is stored in the scramble prefix,
+         * so it should be short and only contain alphanumeric characters.</li>
+         * <li>keys = an object with key ids as keys, and either CryptoKey objects (AES-GCM, usable for encrypt and
+         * decrypt) or base64url encoded 128 or 256 bit raw keys as values.</li>
+         * </ul>
+         *
+         * <p>To rotate keys, add the new key and change keyId. Keep the old keys as long as cookies encrypted
+         * with them should still be readable; those cookies are encrypted with the new key the next time they are set.
+         * Note that keys delivered to the browser are visible to the user, so this protects cookie values
+         * from being read or changed by other parties, not by the user of the browser.</p>
+         *
+         * @example
+         * cookie.encryption.keys.k2 = 'q0P6SiEUkh9MuKOIWBr0dQ';
+         * cookie.encryption.keyId = 'k2';
+         */
+        encryption: encryption,
+
+
+        /**
+         * Secrets used to sign and verify cookies with the sign and verify options.
+         *
+         * <p>The first secret is used to sign new values, and all of the secrets are accepted when verifying,
+         * so to rotate secrets add the new secret to the beginning of the list,
+         * and remove the old secret once the cookies signed with it have expired or been set again.</p>
+         *
+         * <p>Note that secrets delivered to the browser are visible to the user, so signing in the browser
+         * only detects casual changes. Values that must not be forged should be signed and verified on the server,
+         * refer to {@link cookie.serverStore}.</p>
+         *
+         * @example
+         * cookie.secrets = ['new secret', 'old secret'];
+         * cookie.setJson('meter', {count: 3}, {sign: true, signTimestamp: true});
+         * meter = cookie.getJson('meter', {verify: true, maxSignatureAge: 30 * 24 * 60 * 60});
+         */
+        secrets: [],
+
+
+        /**
+         * Calculate an HMAC-SHA256 signature, the same way the sign option does.
+         *
+         * <p>The sign option signs the string "name=value~", or "name=value~time." with the signTimestamp option,
+         * where value is the value after scrambling. Other programs can check the signatures of cookies
+         * by calculating them the same way.</p>
+         *
+         * @returns {String} The signature, base64url encoded without padding.
+         *
+         * @param {String} secret The secret, as UTF-8.
+         * @param {String} message The message, as UTF-8.
+         *
+         * @example
+         * cookie.hmacSha256('Jefe', 'what do ya want for nothing?');
+         * // returns 'W9zBRr9gdU5qBCQmCJV1x1oAPwidJzmDnexYuWTsOEM'
+         */
+        hmacSha256: function (secret, message) {
+            return hmacSha256(secret, message);
+        },
+
+
+        /**
+         * Create an AES-GCM scramble algorithm that uses its own keys, to register with a different prefix.
+         *
+         * @returns {Object} Asynchronous scramble algorithm.
+         *
+         * @param {Object} config Object with keyId and keys properties, refer to {@link cookie.encryption}.
+         *
+         * @example
+         * cookie.scramblers.aesab = cookie.createAesGcmScrambler({keyId: 'a1', keys: {a1: abTestingKey}});
+         */
+        createAesGcmScrambler: function (config) {
+            return createAesGcmScrambler(config);
+        },
+
         /**
          * Default scramble algorithm, used if a scramble algorithm is not specified,
          * or if an invalid algorithm is specified. By default this is 'rot13n'.
+         * This can also be a pipeline of several algorithms, such as 'lz|rot13n'.
+         *
+         * <p>Cookies written with an earlier default keep their algorithm,
+         * use the upgrade option of {@link cookie()} to write them again with the new default.</p>
+         */
+        scramblerDefault: 'rot13n',
+
+
+        /**
+         * Scramble algorithm of values that do not have a scramble prefix, which were written by old versions
+         * of this library. By default this is 'rot13'.
+         *
+         * <p>Set this to null to treat values without a prefix as values that are not scrambled.</p>
+         */
+        scramblerLegacy: 'rot13',
+
+
+        /**
+         * Backing store used when the store option is not specified. By default this is {@link cookie.documentStore}.
+         *
+         * <p>You can replace this with any object that has read() and write() functions,
+         * refer to {@link cookie.documentStore}.</p>
+         */
+        store: documentStore,
+
+
+        /**
+         * Where to keep cookies when the browser does not store them, for example in privacy modes and some webviews
+         * where writes to document.cookie are silently ignored. By default this is null, no fallback.
+         *
+         * <p>Set this to 'localStorage', 'sessionStorage' or 'memory'. The fallback is only used when
+         * {@link cookie.store} is document.cookie and {@link cookie.enabled} is false, and works with the same
+         * get(), set(), getJson() and deleteCookie() calls. Values are encoded and scrambled as they are in cookies,
+         * and cookies expire at the same time. If the storage cannot be used either, the cookies are kept in memory.
+         * Use {@link cookie.backendOf} to find out where a value is kept.</p>
+         *
+         * @example
+         * cookie.fallback = 'localStorage';
          */
-        scramblerDefault: 'rot13n'
+        fallback: null,
+
+
+        /**
+         * Backing store that reads and writes document.cookie.
+         *
+         * <p>read() returns all cookies as a string in the format of document.cookie (or the Cookie request header).
+         * write() accepts a single cookie string in the format of a document.cookie assignment
+         * (or the Set-Cookie response header).</p>
+         */
+        documentStore: documentStore,
+
+
+        /**
+         * Create a backing store for server-side rendering in Node.
+         *
+         * <p>The store parses the Cookie request header so cookies can be read with get(), getJson(), and
+         * the scramble option, and collects a Set-Cookie header string for each cookie that is set or deleted.
+         * Values and scramble prefixes are encoded exactly as they are in the browser.</p>
+         *
+         * <p>Create a new store for every request, and pass it in the store option rather than
+         * assigning it to {@link cookie.store}, so concurrent requests do not share cookies.</p>
+         *
+         * @returns {Object} Backing store with a headers() function that returns an array of Set-Cookie strings.
+         *
+         * @param {String} [header] Value of the Cookie request header.
+         *
+         * @example
+         * store = cookie.serverStore(req.headers.cookie);
+         * user = cookie.get('user', {store: store, scramble: true});
+         * cookie.set('visited', 'true', {store: store, expires: 30});
+         * res.setHeader('Set-Cookie', store.headers());
+         */
+        serverStore: function (header) {
+            return createServerStore(header);
+        }
 
 
     }); // end extend
 
-});
+}));
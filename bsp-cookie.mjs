@@ -0,0 +1,15 @@
+/**
+ * ES module entry point for the cookie utilities in bsp-cookie.js.
+ *
+ * <p>Node and bundlers load bsp-cookie.js as a CommonJS module and provide it as the default export.
+ * In browsers the file has no exports, and defines the global variable bspCookie instead.</p>
+ *
+ * @example
+ * import cookie from 'bsp-cookie/bsp-cookie.mjs';
+ * cookie.set('mycookie', 'value', {expires: 30});
+ */
+import * as umd from './bsp-cookie.js';
+
+var cookie = umd.default || globalThis.bspCookie;
+
+export default cookie;
@@ -0,0 +1,77 @@
+/**
+ * Tests for the test jar in bsp-cookie-testjar.js, run with "npm test".
+ */
+var assert = require('assert'),
+    test = require('node:test'),
+    cookie = require('../bsp-cookie.js');
+
+require('../bsp-cookie-testjar.js');
+
+
+test('cookies expire with the clock of the jar', function () {
+
+    var jar = cookie.testJar({url: 'https://www.example.com/', now: Date.UTC(2030, 0, 1)});
+
+    cookie.set('session', 'abc', {store: jar, expires: 1});
+
+    assert.strictEqual(jar.cookie('session').expires, Date.UTC(2030, 0, 2));
+    assert.strictEqual(cookie.get('session', {store: jar}), 'abc');
+
+    jar.tick(2 * 24 * 60 * 60 * 1000);
+    assert.strictEqual(cookie.get('session', {store: jar}), '');
+});
+
+
+test('cookies are only read on matching paths and domains', function () {
+
+    var jar = cookie.testJar({url: 'https://shop.example.com/cart/'});
+
+    cookie.set('cart', '1', {store: jar, path: '/cart'});
+    cookie.set('other', '1', {store: jar, path: '/other'});
+    cookie.set('wide', '1', {store: jar, domain: 'example.com'});
+
+    assert.strictEqual(jar.read(), 'cart=1; wide=1');
+
+    jar.url('https://www.example.com/');
+    assert.strictEqual(jar.read(), 'wide=1');
+});
+
+
+test('cookies that browsers reject are not stored', function () {
+
+    var jar = cookie.testJar({url: 'http://www.example.com/'}), writes;
+
+    cookie.set('secure', '1', {store: jar, secure: true});
+    cookie.set('domain', '1', {store: jar, domain: 'other.com'});
+    jar.write('suffix=1; domain=co.uk');
+    jar.write('httponly=1; HttpOnly');
+
+    writes = jar.writes();
+
+    assert.strictEqual(jar.read(), '');
+    assert.deepStrictEqual(writes.map(function (w) {
+        return w.cause;
+    }), ['secure', 'domain', 'domain', 'httpOnly']);
+});
+
+
+test('the __Host- and __Secure- prefixes are checked without regard to case', function () {
+
+    var jar = cookie.testJar({url: 'https://www.example.com/'});
+
+    jar.write('__host-a=1; secure; path=/app');
+    jar.write('__SECURE-b=1');
+    jar.write('__Host-c=1; secure; path=/');
+
+    assert.strictEqual(jar.read(), '__Host-c=1');
+});
+
+
+test('trySet explains why a cookie was not stored', function () {
+
+    var jar = cookie.testJar({url: 'https://www.example.com/app/'});
+
+    assert.strictEqual(cookie.trySet('ok', 'v', {store: jar}).ok, true);
+    assert.strictEqual(cookie.trySet('path', 'v', {store: jar, path: '/other/'}).reason, 'path');
+    assert.strictEqual(cookie.trySet('domain', 'v', {store: jar, domain: 'other.com'}).reason, 'domain');
+});
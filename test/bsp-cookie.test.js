@@ -0,0 +1,139 @@
+/**
+ * Tests for bsp-cookie.js, run with "npm test". Cookies are kept in the test jar from bsp-cookie-testjar.js,
+ * so the tests run in Node without a browser.
+ */
+var assert = require('assert'),
+    test = require('node:test'),
+    cookie = require('../bsp-cookie.js');
+
+require('../bsp-cookie-testjar.js');
+
+
+/**
+ * Create an instance that keeps its cookies in a new test jar.
+ */
+function setup() {
+
+    var jar = cookie.testJar({url: 'https://www.example.com/', now: Date.UTC(2030, 0, 1)});
+
+    return {jar: jar, api: cookie.create({defaults: {store: jar}})};
+}
+
+
+/**
+ * Make a string of random characters from a seed, so a failure can be reproduced.
+ */
+function randomString(seed, length, alphabet) {
+
+    var i, result = '';
+
+    for (i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        result += alphabet.charAt(seed % alphabet.length);
+    }
+
+    return result;
+}
+
+
+test('hmacSha256 matches the RFC 4231 test vectors', function () {
+
+    // Test case 1: 20 bytes of 0x0b as the key
+    assert.strictEqual(cookie.hmacSha256(new Array(21).join('\x0b'), 'Hi There'),
+        'sDRMYdjbOFNcqK_OrwvxK4gdwgDJgz2nJuk3bC4yz_c');
+
+    // Test case 2: a key shorter than the output
+    assert.strictEqual(cookie.hmacSha256('Jefe', 'what do ya want for nothing?'),
+        'W9zBRr9gdU5qBCQmCJV1x1oAPwidJzmDnexYuWTsOEM');
+});
+
+
+test('hmacSha256 hashes keys longer than the block size and messages of several blocks', function () {
+    assert.strictEqual(cookie.hmacSha256(new Array(101).join('k'), 'long key'),
+        'WQPu3v4Luj8VtlhxXkHXHxhIc5vd8Z5JfpaN9XI9zVY');
+    assert.strictEqual(cookie.hmacSha256('key', new Array(201).join('abc')),
+        '43jaaZ8jibWDUo9iQJKmvNORQN-wvR_33GHSrPsaMm0');
+});
+
+
+test('signed cookies are verified, and changed values are rejected', function () {
+
+    var t = setup();
+
+    t.api.secrets = ['s1'];
+    t.api.set('signed', 'value', {sign: true});
+
+    assert.strictEqual(t.api.get('signed', {verify: true}), 'value');
+
+    t.jar.write('signed=other' + t.jar.cookie('signed').value.substring(5));
+    assert.strictEqual(t.api('signed', undefined, {verify: true}), null);
+});
+
+
+test('lz compression round-trips to the base64url alphabet', function () {
+
+    var i, lz = cookie.compressors.lz, values = ['', 'a', 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa', '{"a":1,"b":[1,2,3]}',
+        'héllo wörld ☃ 😀 \u0000 ￿'];
+
+    for (i = 0; i < 50; i++) {
+        values.push(randomString(i + 1, i * 37, 'abc{}:,"é中'));
+    }
+
+    for (i = 0; i < values.length; i++) {
+        assert.match(lz.encode(values[i]), /^[A-Za-z0-9_\-]*$/);
+        assert.strictEqual(lz.decode(lz.encode(values[i])), values[i]);
+    }
+});
+
+
+test('compressed cookies are decompressed automatically', function () {
+
+    var t = setup(), data = {filters: new Array(40).join('category,')};
+
+    t.api.setJson('compressed', data, {compress: true});
+
+    assert.strictEqual(t.jar.cookie('compressed').value.indexOf('[lz]'), 0);
+    assert.deepStrictEqual(t.api.getJson('compressed'), data);
+});
+
+
+test('the base64url codec round-trips', function () {
+
+    var codec = cookie.codecs.base64url, i, value;
+
+    assert.strictEqual(codec.encode('hello'), 'aGVsbG8');
+    assert.strictEqual(codec.decode('aGVsbG8'), 'hello');
+
+    for (i = 0; i < 50; i++) {
+        value = randomString(i + 7, i * 3, 'ab;= ,é中');
+        assert.match(codec.encode(value), /^[A-Za-z0-9_\-]*$/);
+        assert.strictEqual(codec.decode(codec.encode(value)), value);
+    }
+});
+
+
+test('large values are split into chunks and put back together', function () {
+
+    var t = setup(), value = randomString(3, 9000, 'abcdefghij{}');
+
+    t.api.set('large', value);
+
+    assert.strictEqual(t.jar.cookie('large').value.indexOf('$chunks.'), 0);
+    assert.ok(t.jar.cookie('large.1'));
+    assert.strictEqual(t.api.get('large'), value);
+
+    t.api.set('large', 'small');
+    assert.strictEqual(t.jar.cookie('large.1'), null);
+    assert.strictEqual(t.api.get('large'), 'small');
+});
+
+
+test('scrambled cookies round-trip', function () {
+
+    var t = setup();
+
+    t.api.set('scrambled', 'secret value', {scramble: true});
+
+    assert.notStrictEqual(t.jar.cookie('scrambled').value, 'secret value');
+    assert.strictEqual(t.api.get('scrambled', {scramble: true}), 'secret value');
+});